@@ -0,0 +1,86 @@
+const { MAX_POLYGON_POINTS, isPointRevealed } = require('./fog');
+const { normalizeTriggers } = require('./regions');
+
+// What the DM draws on a scene's map besides tokens. Every annotation has
+// map-space `points` ([[x, y], ...]):
+//
+//   region    a named area, e.g. a province; `faction` owns it     3+ points
+//   label     text at a point; `name` is the text                   1 point
+//   marker    a point of interest pin with a `name` and `notes`     1 point
+//   drawing   a line or freehand stroke                             2+ points
+//
+// `color` is null for the default look (regions take their faction's color).
+// Regions may also have `triggers` and `auto_control` (see lib/regions.js).
+// Players only see annotations with `visible_to_players`, and on a fogged
+// scene only those touching a revealed area.
+
+const ANNOTATION_KINDS = ['region', 'label', 'marker', 'drawing'];
+const POINT_COUNTS = {
+  region: { min: 3, max: MAX_POLYGON_POINTS },
+  label: { min: 1, max: 1 },
+  marker: { min: 1, max: 1 },
+  drawing: { min: 2, max: MAX_POLYGON_POINTS }
+};
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Points of an annotation rounded to whole pixels; null if unusable for its kind
+function normalizePoints(kind, points) {
+  const counts = POINT_COUNTS[kind];
+  if (!Array.isArray(points) || points.length < counts.min || points.length > counts.max) return null;
+
+  const normalized = [];
+  for (const point of points) {
+    if (!Array.isArray(point) || point.length !== 2) return null;
+    const x = Number(point[0]);
+    const y = Number(point[1]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    normalized.push([Math.round(x), Math.round(y)]);
+  }
+  return normalized;
+}
+
+// Check an annotation from a client or a bundle and keep only the fields we
+// know. Returns { data, error } with error a message for the DM.
+function normalizeAnnotation(annotation) {
+  if (!annotation || !ANNOTATION_KINDS.includes(annotation.kind)) {
+    return { data: null, error: `An annotation must be one of: ${ANNOTATION_KINDS.join(', ')}` };
+  }
+  const { kind } = annotation;
+  const points = normalizePoints(kind, annotation.points);
+  if (!points) {
+    const { min, max } = POINT_COUNTS[kind];
+    return { data: null, error: min === max ? `A ${kind} needs exactly ${min} point` : `A ${kind} needs ${min} to ${max} points` };
+  }
+  const name = typeof annotation.name === 'string' ? annotation.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (kind === 'label' && !name) return { data: null, error: 'A label needs some text' };
+
+  return {
+    data: {
+      kind,
+      name,
+      points,
+      color: typeof annotation.color === 'string' && COLOR_PATTERN.test(annotation.color) ? annotation.color.toLowerCase() : null,
+      faction: kind === 'region' && typeof annotation.faction === 'string' ? annotation.faction.trim().slice(0, MAX_NAME_LENGTH) : '',
+      notes: typeof annotation.notes === 'string' ? annotation.notes.slice(0, MAX_NOTES_LENGTH) : '',
+      visible_to_players: annotation.visible_to_players !== false,
+      triggers: kind === 'region' ? normalizeTriggers(annotation.triggers) : [],
+      auto_control: kind === 'region' && annotation.auto_control === true
+    },
+    error: null
+  };
+}
+
+// `fogRegions` are the scene's revealed areas, or null when it has no fog
+function isAnnotationVisibleToPlayers(annotation, fogRegions) {
+  if (annotation.visible_to_players === false) return false;
+  if (!fogRegions) return true;
+  return annotation.points.some(([x, y]) => isPointRevealed(fogRegions, x, y));
+}
+
+module.exports = {
+  ANNOTATION_KINDS,
+  normalizeAnnotation,
+  isAnnotationVisibleToPlayers
+};
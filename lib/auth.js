@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Player account helpers: password hashing, invite codes and session tokens.
+// Passwords are stored as "scrypt$<salt>$<hash>"; session tokens are only
+// stored as SHA-256 hashes so a leaked database can't be used to log in.
+
+const KEY_LENGTH = 64;
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const MIN_PASSWORD_LENGTH = 4;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [scheme, salt, hashHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Invite codes are typed by hand; ignore case, spaces and dashes
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[\s-]/g, '') : '';
+}
+
+function generateSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Token from an "Authorization: Bearer <token>" header, or null
+function getBearerToken(header) {
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Compare an API key without leaking how much of it matched
+function isSameKey(key, expected) {
+  if (typeof key !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const a = crypto.createHash('sha256').update(key).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  generateInviteCode,
+  normalizeInviteCode,
+  generateSessionToken,
+  hashSessionToken,
+  getBearerToken,
+  isSameKey
+};
@@ -0,0 +1,221 @@
+const { normalizePolygon } = require('./fog');
+const { END_OF_PHASE_ACTIONS, normalizeTurnOrder } = require('./turns');
+const { normalizeHiddenFields } = require('./visibility');
+const { normalizeScale } = require('./scale');
+const { normalizeWaypoints } = require('./movement');
+const { normalizeProposalDiscussion } = require('./proposals');
+const { normalizeAnnotation } = require('./annotations');
+const { normalizeConditions } = require('./conditions');
+const { validate } = require('./validation');
+
+// Portable campaign bundles, for backups and for moving a campaign to another
+// server. A bundle is plain JSON:
+//
+//   { format, version, exported_at,
+//     campaign: { name, current_turn, turn_order, end_of_phase },
+//     scenes: [{ id, name, map_image, map_width, map_height, fog_enabled, fog_regions, map_scale,
+//                annotations }],
+//     tokens, faction_stats, move_proposals, movable_factions }
+//
+// Ids in a bundle only tie its parts together (a token's scene_id, a
+// proposal's token_id, the token_id of a region trigger); importing gives
+// every row a new id.
+
+const BUNDLE_FORMAT = 'dnd-map-campaign';
+const BUNDLE_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+const MAX_BUNDLE_BYTES = 10 * 1024 * 1024;
+
+const TOKEN_FIELDS = [
+  'id', 'scene_id', 'x', 'y', 'name', 'faction', 'hp', 'max_hp', 'current_hp',
+  'attack', 'counterattack', 'special', 'notes', 'dm_notes', 'hidden_fields',
+  'color', 'owner_player_id', 'icon_url', 'visible_to_players', 'movement',
+  'owner_moves', 'conditions'
+];
+const FACTION_FIELDS = [
+  'faction_name', 'current_hp', 'max_hp', 'force_stat', 'wealth_stat',
+  'cunning_stat', 'magic_stat', 'treasure_stat', 'is_visible'
+];
+// Filled in for fields a hand-written bundle leaves out
+const TOKEN_DEFAULTS = {
+  faction: '', hp: 0, max_hp: 0, current_hp: 0, attack: '0', counterattack: '0',
+  special: '', notes: '', dm_notes: '', color: '#FF0000', owner_player_id: null,
+  icon_url: null, visible_to_players: true, movement: null, owner_moves: 'proposal',
+  conditions: []
+};
+const FACTION_DEFAULTS = {
+  current_hp: 0, max_hp: 0, force_stat: 0, wealth_stat: 0, cunning_stat: 0,
+  magic_stat: 'None', treasure_stat: 0, is_visible: false
+};
+
+const PROPOSAL_FIELDS = [
+  'token_id', 'original_x', 'original_y', 'proposed_x', 'proposed_y', 'waypoints',
+  'proposed_by_player_id', 'proposed_by_name', 'status', 'reason', 'comments', 'status_history'
+];
+const ANNOTATION_FIELDS = [
+  'kind', 'name', 'points', 'color', 'faction', 'notes', 'visible_to_players', 'triggers', 'auto_control'
+];
+
+function pick(row, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (row[field] !== undefined) picked[field] = row[field];
+  }
+  return picked;
+}
+
+// Bundle of one campaign. `mapInfos` maps a scene's map image to its metadata.
+function createBundle({ campaign, scenes, tokens, factionStats, moveProposals, movableFactions, fogRegions, annotations, mapInfos }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    campaign: {
+      name: campaign.name,
+      current_turn: campaign.current_turn || 1,
+      turn_order: campaign.turn_order || [],
+      end_of_phase: campaign.end_of_phase || 'keep'
+    },
+    scenes: scenes.map((scene) => {
+      const mapInfo = mapInfos[scene.map_image] || {};
+      return {
+        id: scene.id,
+        name: scene.name,
+        map_image: scene.map_image,
+        map_width: mapInfo.width || null,
+        map_height: mapInfo.height || null,
+        fog_enabled: !!scene.fog_enabled,
+        fog_regions: fogRegions.filter(r => r.scene_id === scene.id).map(r => r.points),
+        map_scale: scene.map_scale || null,
+        annotations: annotations.filter(a => a.scene_id === scene.id).map(a => pick(a, ANNOTATION_FIELDS))
+      };
+    }),
+    tokens: tokens.map(token => pick(token, TOKEN_FIELDS)),
+    faction_stats: factionStats.map(faction => pick(faction, FACTION_FIELDS)),
+    move_proposals: moveProposals.map(proposal => pick(proposal, PROPOSAL_FIELDS)),
+    movable_factions: movableFactions.map(config => ({
+      faction_name: config.faction_name,
+      is_movable: !!config.is_movable
+    }))
+  };
+}
+
+// Check an uploaded bundle and keep only the fields we know. `schemas` are
+// the row schemas of lib/events.js (BUNDLE_SCHEMAS), passed in since that
+// module needs this one. Returns { data, error } with error a message for
+// the DM.
+function readBundle(bundle, schemas) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { data: null, error: 'Not a campaign bundle' };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    return { data: null, error: `Unsupported bundle version ${bundle.version}; this server reads version ${BUNDLE_VERSION}` };
+  }
+  const lists = ['scenes', 'tokens', 'faction_stats', 'move_proposals', 'movable_factions'];
+  if (lists.some(list => !Array.isArray(bundle[list]))) {
+    return { data: null, error: `A bundle needs the lists: ${lists.join(', ')}` };
+  }
+
+  const scenes = [];
+  for (const scene of bundle.scenes) {
+    if (!scene || !Number.isInteger(scene.id) || typeof scene.name !== 'string' || !scene.name.trim()) {
+      return { data: null, error: 'Every scene needs an id and a name' };
+    }
+    const fogRegions = (Array.isArray(scene.fog_regions) ? scene.fog_regions : []).map(normalizePolygon);
+    if (fogRegions.includes(null)) {
+      return { data: null, error: `Scene "${scene.name}" has an invalid fog region` };
+    }
+    const annotations = [];
+    for (const annotation of Array.isArray(scene.annotations) ? scene.annotations : []) {
+      const { data, error } = normalizeAnnotation(annotation);
+      if (error) return { data: null, error: `Scene "${scene.name}" has an invalid annotation: ${error}` };
+      annotations.push(data);
+    }
+    scenes.push({
+      id: scene.id,
+      name: scene.name.trim(),
+      map_image: typeof scene.map_image === 'string' ? scene.map_image : null,
+      fog_enabled: scene.fog_enabled === true,
+      fog_regions: fogRegions,
+      map_scale: normalizeScale(scene.map_scale),
+      annotations
+    });
+  }
+
+  const sceneIds = scenes.map(scene => scene.id);
+  const tokens = [];
+  for (const row of bundle.tokens) {
+    const { data: token, error } = validate(schemas.token, row);
+    if (error) return { data: null, error: `A token in the bundle is invalid: ${error.message}` };
+    if (!sceneIds.includes(token.scene_id)) {
+      return { data: null, error: `Token ${token.id} isn't on one of the bundle's scenes` };
+    }
+    tokens.push({
+      ...TOKEN_DEFAULTS,
+      name: `Token ${token.id}`,
+      ...token,
+      hidden_fields: normalizeHiddenFields(token.hidden_fields),
+      conditions: normalizeConditions(token.conditions)
+    });
+  }
+  const tokenIds = tokens.map(token => token.id);
+  if (new Set(tokenIds).size !== tokenIds.length) {
+    return { data: null, error: 'Token ids in a bundle must be unique' };
+  }
+
+  // Triggers revealing a token the bundle doesn't have are dropped
+  for (const scene of scenes) {
+    for (const annotation of scene.annotations) {
+      annotation.triggers = annotation.triggers.filter(trigger => trigger.token_id === null || tokenIds.includes(trigger.token_id));
+    }
+  }
+
+  const factionStats = [];
+  for (const row of bundle.faction_stats) {
+    const { data: faction, error } = validate(schemas.faction, row);
+    if (error) return { data: null, error: `A faction in the bundle is invalid: ${error.message}` };
+    if (!faction.faction_name.trim()) return { data: null, error: 'Every faction needs a name' };
+    factionStats.push({ ...FACTION_DEFAULTS, ...faction });
+  }
+
+  // Proposals of tokens that aren't in the bundle have nothing to move
+  const moveProposals = [];
+  for (const row of bundle.move_proposals) {
+    if (!row || !tokenIds.includes(row.token_id)) continue;
+    const { data: proposal, error } = validate(schemas.proposal, row);
+    if (error) return { data: null, error: `A move proposal in the bundle is invalid: ${error.message}` };
+    moveProposals.push({
+      ...proposal,
+      waypoints: normalizeWaypoints(proposal.waypoints),
+      ...normalizeProposalDiscussion(proposal)
+    });
+  }
+
+  const movableFactions = bundle.movable_factions
+    .filter(config => config && typeof config.faction_name === 'string')
+    .map(config => ({ faction_name: config.faction_name, is_movable: config.is_movable === true }));
+
+  const campaign = bundle.campaign || {};
+  return {
+    data: {
+      campaign: {
+        current_turn: Number.isInteger(campaign.current_turn) && campaign.current_turn > 0 ? campaign.current_turn : 1,
+        turn_order: normalizeTurnOrder(campaign.turn_order) || [],
+        end_of_phase: END_OF_PHASE_ACTIONS.includes(campaign.end_of_phase) ? campaign.end_of_phase : 'keep'
+      },
+      scenes,
+      tokens,
+      factionStats,
+      moveProposals,
+      movableFactions
+    },
+    error: null
+  };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  MAX_BUNDLE_BYTES,
+  createBundle,
+  readBundle
+};
@@ -0,0 +1,45 @@
+// Campaign chat, interleaved with a feed of what happens on the map. Each
+// entry is one row:
+//
+//   { campaign_id, kind, author, author_role, player_id, to_player_id,
+//     to_name, text, visible_to_players, created_at }
+//
+// Kinds: `message` goes to everyone, `whisper` between one player and the DM
+// (`player_id` is the player who sent it, `to_player_id` the one the DM sent
+// it to), `announcement` from the DM to everyone and `event` from the server,
+// for players only when `visible_to_players`.
+
+const SENDABLE_KINDS = ['message', 'whisper', 'announcement'];
+const MAX_MESSAGE_LENGTH = 1000;
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// `client` is a socket or API caller: userRole and playerId
+function canSeeMessage(message, client) {
+  if (client.userRole === 'dm') return true;
+  if (message.kind === 'whisper') {
+    return !!client.playerId && (message.player_id === client.playerId || message.to_player_id === client.playerId);
+  }
+  if (message.kind === 'event') return message.visible_to_players === true;
+  return true;
+}
+
+// The newest `limit` messages a client may see among `messages` (oldest
+// first), older than the message id `before` when given.
+// Returns { messages, has_more }.
+function getChatPage(messages, client, before = null, limit = PAGE_SIZE) {
+  const size = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  const visible = messages.filter(message =>
+    (before === null || message.id < before) && canSeeMessage(message, client)
+  );
+  return { messages: visible.slice(-size), has_more: visible.length > size };
+}
+
+module.exports = {
+  SENDABLE_KINDS,
+  MAX_MESSAGE_LENGTH,
+  PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  canSeeMessage,
+  getChatPage
+};
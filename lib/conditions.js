@@ -0,0 +1,96 @@
+// Status conditions on tokens. A token's `conditions` is a list of
+//
+//   { name, icon, unit, remaining }
+//
+// Known names get their icon from CONDITIONS; the DM may add others. With a
+// `unit`, the condition wears off by itself after `remaining` of them:
+//
+//   rounds   ends of a whole turn of the campaign
+//   turns    ends of the token's faction's phase; while the turn tracker
+//            doesn't run, or the faction isn't in the turn order, these
+//            count like rounds
+//
+// Without one (unit and remaining null) it lasts until someone removes it.
+
+const CONDITIONS = {
+  besieged: '🏰',
+  routed: '🏳️',
+  hidden: '👻',
+  poisoned: '🤢',
+  stunned: '💫',
+  burning: '🔥',
+  fortified: '🛡️',
+  inspired: '✨',
+  exhausted: '😫'
+};
+const DURATION_UNITS = ['rounds', 'turns'];
+const DEFAULT_ICON = '⚠️';
+const MAX_CONDITIONS = 20;
+const MAX_NAME_LENGTH = 30;
+const MAX_ICON_LENGTH = 8;
+const MAX_DURATION = 1000;
+
+// Conditions from a client or a bundle: known fields only, one per name.
+// Unusable ones are dropped.
+function normalizeConditions(conditions) {
+  if (!Array.isArray(conditions)) return [];
+
+  const normalized = [];
+  for (const condition of conditions) {
+    const name = condition && typeof condition.name === 'string'
+      ? condition.name.trim().toLowerCase().slice(0, MAX_NAME_LENGTH)
+      : '';
+    if (!name || normalized.some(c => c.name === name)) continue;
+
+    const icon = CONDITIONS[name] ||
+      (typeof condition.icon === 'string' && condition.icon.trim() ? condition.icon.trim().slice(0, MAX_ICON_LENGTH) : DEFAULT_ICON);
+    const isTimed = DURATION_UNITS.includes(condition.unit) &&
+      Number.isInteger(condition.remaining) && condition.remaining > 0;
+    normalized.push({
+      name,
+      icon,
+      unit: isTimed ? condition.unit : null,
+      remaining: isTimed ? Math.min(condition.remaining, MAX_DURATION) : null
+    });
+  }
+  return normalized.slice(0, MAX_CONDITIONS);
+}
+
+function hasTimedConditions(token) {
+  return (token.conditions || []).some(condition => condition.unit);
+}
+
+// A token's conditions once a phase ended. `phase` says what ended:
+// { faction, roundEnded, turnOrder } with faction null while the tracker
+// doesn't run. Returns { conditions, expired } with expired the names that
+// wore off.
+function tickConditions(token, phase) {
+  const factionInOrder = !!phase.faction && phase.turnOrder.includes(token.faction);
+  const turnEnded = factionInOrder ? phase.faction === token.faction : phase.roundEnded;
+
+  const conditions = [];
+  const expired = [];
+  for (const condition of token.conditions || []) {
+    const ticks = (condition.unit === 'rounds' && phase.roundEnded) || (condition.unit === 'turns' && turnEnded);
+    if (!ticks) {
+      conditions.push(condition);
+    } else if (condition.remaining > 1) {
+      conditions.push({ ...condition, remaining: condition.remaining - 1 });
+    } else {
+      expired.push(condition.name);
+    }
+  }
+  return { conditions, expired };
+}
+
+module.exports = {
+  CONDITIONS,
+  DURATION_UNITS,
+  MAX_CONDITIONS,
+  MAX_NAME_LENGTH,
+  MAX_ICON_LENGTH,
+  MAX_DURATION,
+  normalizeConditions,
+  hasTimedConditions,
+  tickConditions
+};
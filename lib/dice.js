@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Dice engine. Notation is one or more terms joined by + or -, each either
+// NdM (N defaults to 1) or a flat number, optionally followed by "adv" or
+// "dis" to roll the whole expression twice and keep the higher/lower total:
+//
+//   "5", "1d6", "2d8+3", "1d20+1d4-1", "1d20+5 adv"
+
+const MAX_TERMS = 20;
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const MODES = ['normal', 'advantage', 'disadvantage'];
+
+const TERM_PATTERN = /([+-]?)(?:(\d*)d(\d+)|(\d+))/gy;
+
+// Parse notation into terms; null if it is not valid dice notation
+function parseDiceNotation(notation) {
+  if (typeof notation !== 'string') return null;
+
+  let text = notation.toLowerCase().trim();
+  let mode = 'normal';
+  const modeMatch = text.match(/\s*(adv|advantage|dis|disadvantage)$/);
+  if (modeMatch) {
+    mode = modeMatch[1].startsWith('adv') ? 'advantage' : 'disadvantage';
+    text = text.slice(0, -modeMatch[0].length);
+  }
+  text = text.replace(/\s*([+-])\s*/g, '$1');
+  if (!text || /\s/.test(text)) return null;
+
+  const terms = [];
+  TERM_PATTERN.lastIndex = 0;
+  while (TERM_PATTERN.lastIndex < text.length) {
+    const start = TERM_PATTERN.lastIndex;
+    const match = TERM_PATTERN.exec(text);
+    // Every term after the first needs an explicit sign
+    if (!match || (start > 0 && !match[1])) return null;
+
+    const sign = match[1] === '-' ? -1 : 1;
+    if (match[3] !== undefined) {
+      const count = match[2] === '' ? 1 : parseInt(match[2], 10);
+      const sides = parseInt(match[3], 10);
+      if (count < 1 || count > MAX_DICE || sides < 1 || sides > MAX_SIDES) return null;
+      terms.push({ sign, count, sides });
+    } else {
+      terms.push({ sign, value: parseInt(match[4], 10) });
+    }
+    if (terms.length > MAX_TERMS) return null;
+  }
+
+  return { terms, mode };
+}
+
+function isValidDiceNotation(notation) {
+  return parseDiceNotation(notation) !== null;
+}
+
+function formatTerm(term) {
+  const body = term.sides ? `${term.count}d${term.sides}` : String(term.value);
+  return (term.sign < 0 ? '-' : '+') + body;
+}
+
+// Roll every term once
+function rollTerms(terms, randomInt) {
+  const parts = terms.map((term) => {
+    const results = term.sides
+      ? Array.from({ length: term.count }, () => randomInt(1, term.sides + 1))
+      : [term.value];
+    const subtotal = term.sign * results.reduce((sum, value) => sum + value, 0);
+    return { term: formatTerm(term), results, subtotal };
+  });
+  return {
+    parts,
+    total: parts.reduce((sum, part) => sum + part.subtotal, 0)
+  };
+}
+
+// Roll dice notation. `options.mode` overrides the adv/dis suffix and
+// `options.randomInt(min, maxExclusive)` replaces the crypto RNG.
+// Returns { notation, mode, total, parts, discarded } or null if invalid.
+function rollDice(notation, options = {}) {
+  const parsed = parseDiceNotation(notation);
+  if (!parsed) return null;
+
+  const mode = MODES.includes(options.mode) && options.mode !== 'normal' ? options.mode : parsed.mode;
+  const randomInt = options.randomInt || crypto.randomInt;
+
+  let kept = rollTerms(parsed.terms, randomInt);
+  let discarded = null;
+  if (mode !== 'normal') {
+    const other = rollTerms(parsed.terms, randomInt);
+    const keepOther = mode === 'advantage' ? other.total > kept.total : other.total < kept.total;
+    discarded = keepOther ? kept : other;
+    kept = keepOther ? other : kept;
+  }
+
+  return {
+    notation: parsed.terms.map(formatTerm).join('').replace(/^\+/, ''),
+    mode,
+    total: kept.total,
+    parts: kept.parts,
+    discarded
+  };
+}
+
+module.exports = {
+  MODES,
+  parseDiceNotation,
+  isValidDiceNotation,
+  rollDice
+};
@@ -0,0 +1,227 @@
+const { MODES: ROLL_MODES } = require('./dice');
+const { MAX_POLYGON_POINTS } = require('./fog');
+const { MAX_ICON_UPLOAD_BYTES } = require('./icons');
+const { IMPORT_MODES } = require('./bundle');
+const { END_OF_PHASE_ACTIONS } = require('./turns');
+const { HIDEABLE_FIELDS } = require('./visibility');
+const { MAX_SPEEDS, MAX_UNIT_LENGTH } = require('./scale');
+const { MAX_WAYPOINTS } = require('./movement');
+const { PROPOSAL_STATUSES, MAX_REASON_LENGTH, MAX_COMMENT_LENGTH } = require('./proposals');
+const { ANNOTATION_KINDS } = require('./annotations');
+const { TRIGGER_EVENTS, TRIGGER_ACTIONS, MAX_TRIGGERS } = require('./regions');
+const { SENDABLE_KINDS, MAX_MESSAGE_LENGTH, MAX_PAGE_SIZE } = require('./chat');
+const { OWNER_MOVE_MODES } = require('./ownership');
+const { DURATION_UNITS, MAX_CONDITIONS, MAX_NAME_LENGTH: MAX_CONDITION_LENGTH, MAX_ICON_LENGTH, MAX_DURATION } = require('./conditions');
+const {
+  integer, number, string, boolean, color, dice, oneOf, coordinate,
+  arrayOf, object, binary, any, anyOf, optional, nullable
+} = require('./validation');
+
+// What every client event may carry. The server checks each payload against
+// its schema before any handler runs (see lib/validation.js); `null` means
+// the event takes no payload. Events missing here are refused.
+
+const MAX_HP = 100000;
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 2000;
+
+const id = integer(1);
+const name = string(MAX_NAME_LENGTH);
+const hp = integer(0, MAX_HP);
+const factionStat = integer(-100, 1000);
+const label = (max) => string(max, { pattern: /\S/ });
+// Route of a move between where the token stands and where it ends up
+const waypoints = optional(arrayOf(object({ x: coordinate('x'), y: coordinate('y') }), MAX_WAYPOINTS));
+
+// Token details the DM can set when placing or editing a token; owners may
+// change a few of them (see lib/ownership.js)
+const TOKEN_DETAILS = {
+  name: optional(name),
+  faction: optional(name),
+  hp: optional(hp),
+  max_hp: optional(hp),
+  current_hp: optional(hp),
+  attack: optional(dice()),
+  counterattack: optional(dice()),
+  special: optional(string(500)),
+  notes: optional(string(MAX_TEXT_LENGTH)),
+  dm_notes: optional(string(MAX_TEXT_LENGTH)),
+  hidden_fields: optional(arrayOf(oneOf(Object.keys(HIDEABLE_FIELDS)), 10)),
+  color: optional(color()),
+  owner_player_id: optional(nullable(id)),
+  icon_url: optional(nullable(string(300))),
+  visible_to_players: optional(boolean()),
+  movement: optional(nullable(number(0, 1000000))),
+  owner_moves: optional(oneOf(OWNER_MOVE_MODES)),
+  conditions: optional(arrayOf(object({
+    name: label(MAX_CONDITION_LENGTH),
+    icon: optional(string(MAX_ICON_LENGTH)),
+    unit: optional(nullable(oneOf(DURATION_UNITS))),
+    remaining: optional(nullable(integer(1, MAX_DURATION)))
+  }), MAX_CONDITIONS))
+};
+
+// Map annotations (see lib/annotations.js); how many points each kind takes
+// is checked there
+const annotationPoints = arrayOf(arrayOf(number(-1000000, 1000000), 2), MAX_POLYGON_POINTS);
+const ANNOTATION_DETAILS = {
+  name: optional(name),
+  faction: optional(name),
+  color: optional(nullable(color())),
+  notes: optional(string(MAX_TEXT_LENGTH)),
+  visible_to_players: optional(boolean()),
+  triggers: optional(arrayOf(object({
+    on: oneOf(TRIGGER_EVENTS),
+    action: oneOf(TRIGGER_ACTIONS),
+    faction: optional(name),
+    token_id: optional(nullable(id)),
+    target_faction: optional(name)
+  }), MAX_TRIGGERS)),
+  auto_control: optional(boolean())
+};
+
+const EVENT_SCHEMAS = {
+  'authenticate': object({
+    role: oneOf(['dm', 'player']),
+    password: optional(string(200)),
+    campaignId: optional(nullable(id)),
+    sessionToken: optional(nullable(string(128))),
+    inviteCode: optional(string(32)),
+    name: optional(name)
+  }),
+  'set_role': null,
+  'request_tokens': null,
+
+  'token:place': object({ x: coordinate('x'), y: coordinate('y'), ...TOKEN_DETAILS }),
+  'token:move': object({ tokenId: id, x: coordinate('x'), y: coordinate('y'), waypoints }),
+  'token:update': object({ id, ...TOKEN_DETAILS }),
+  'token:remove': id,
+  'tokens:clear': null,
+
+  'faction_stats:update': object({
+    faction_name: name,
+    current_hp: optional(hp),
+    max_hp: optional(hp),
+    force_stat: optional(factionStat),
+    wealth_stat: optional(factionStat),
+    cunning_stat: optional(factionStat),
+    magic_stat: optional(string(50)),
+    treasure_stat: optional(factionStat),
+    is_visible: optional(boolean())
+  }),
+  'faction_stats:delete': name,
+
+  'move_proposal:create': object({
+    token_id: id,
+    original_x: coordinate('x'),
+    original_y: coordinate('y'),
+    proposed_x: coordinate('x'),
+    proposed_y: coordinate('y'),
+    waypoints,
+    reason: optional(string(MAX_REASON_LENGTH))
+  }),
+  'move_proposal:update': object({
+    token_id: id,
+    proposed_x: coordinate('x'),
+    proposed_y: coordinate('y'),
+    waypoints,
+    reason: optional(string(MAX_REASON_LENGTH))
+  }),
+  'move_proposal:approve': anyOf([id, object({ id, override: optional(boolean()) })]),
+  'move_proposal:reject': anyOf([id, object({ id, reason: optional(string(MAX_COMMENT_LENGTH)) })]),
+  'move_proposal:cancel': id,
+  'move_proposal:comment': object({ id, text: label(MAX_COMMENT_LENGTH) }),
+  'move_proposal:counter': object({
+    id,
+    proposed_x: coordinate('x'),
+    proposed_y: coordinate('y'),
+    waypoints,
+    note: optional(string(MAX_COMMENT_LENGTH))
+  }),
+  'move_proposal:accept': id,
+  'move_proposals:clear_all': null,
+  'movable_factions:update': arrayOf(object({ faction_name: name, is_movable: boolean() }), 200),
+
+  'player:logout': optional(nullable(object({ sessionToken: optional(nullable(string(128))) }))),
+  'player_account:create': object({ name }),
+  'player_account:reset': id,
+  'player_account:delete': id,
+
+  'icon:upload': object({ name: optional(string(MAX_NAME_LENGTH)), data: binary(MAX_ICON_UPLOAD_BYTES) }),
+  'icon:delete': id,
+
+  'chat:send': object({ kind: oneOf(SENDABLE_KINDS), text: label(MAX_MESSAGE_LENGTH), to_player_id: optional(nullable(id)) }),
+  'chat:history': object({ before: id, limit: optional(integer(1, MAX_PAGE_SIZE)) }),
+
+  'dice:roll': object({ notation: dice(), mode: optional(oneOf(ROLL_MODES)), label: optional(string(MAX_NAME_LENGTH)) }),
+  'combat:resolve': object({ attackerId: id, defenderId: id, mode: optional(oneOf(ROLL_MODES)) }),
+
+  'turn:advance': null,
+  'turn_order:update': object({ order: arrayOf(name, 50), end_of_phase: optional(oneOf(END_OF_PHASE_ACTIONS)) }),
+  'turn_tracker:set_running': boolean(),
+  'turn_order:roll_initiative': null,
+  'history:undo': null,
+  'history:redo': null,
+
+  'fog:reveal': object({ polygons: arrayOf(arrayOf(arrayOf(number(-1000000, 1000000), 2), MAX_POLYGON_POINTS), 100) }),
+  'fog:hide': id,
+  'fog:reset': null,
+  'fog:set_enabled': boolean(),
+  'annotation:create': object({ kind: oneOf(ANNOTATION_KINDS), points: annotationPoints, ...ANNOTATION_DETAILS }),
+  'annotation:update': object({ id, points: optional(annotationPoints), ...ANNOTATION_DETAILS }),
+  'annotation:delete': id,
+  'scene:set_scale': nullable(object({
+    pixels: number(1, 1000000),
+    distance: number(0.001, 1000000),
+    unit: label(MAX_UNIT_LENGTH),
+    speeds: optional(arrayOf(object({ name: label(30), per_hour: number(0.001, 100000) }), MAX_SPEEDS)),
+    hours_per_day: optional(number(1, 24))
+  })),
+
+  'campaign:create': optional(nullable(object({ name: optional(name) }))),
+  'campaign:switch': id,
+  'campaign:export': null,
+  'campaign:import': object({ bundle: any(), mode: oneOf(IMPORT_MODES) }),
+  'scene:create': object({ name: optional(name), map_image: optional(string(255)) }),
+  'scene:switch': id,
+  'scene:move_players': object({ sceneId: id, playerIds: optional(nullable(arrayOf(string(MAX_NAME_LENGTH), 500))) }),
+  'maps:list': null
+};
+
+// Rows of a campaign bundle (see lib/bundle.js), held to the same limits as
+// the events that make them. Ids only tie the bundle together here.
+const BUNDLE_SCHEMAS = {
+  token: object({ id: integer(), scene_id: integer(), x: coordinate('x'), y: coordinate('y'), ...TOKEN_DETAILS }),
+  faction: EVENT_SCHEMAS['faction_stats:update'],
+  proposal: object({
+    token_id: integer(),
+    original_x: coordinate('x'),
+    original_y: coordinate('y'),
+    proposed_x: coordinate('x'),
+    proposed_y: coordinate('y'),
+    waypoints,
+    proposed_by_player_id: optional(nullable(id)),
+    proposed_by_name: optional(nullable(name)),
+    status: optional(oneOf(PROPOSAL_STATUSES)),
+    reason: optional(string(MAX_REASON_LENGTH)),
+    comments: optional(any()),
+    status_history: optional(any())
+  })
+};
+
+// Per-socket rate limit (see lib/rateLimit.js) and the cost of events that
+// aren't 1. Logins are pricier to slow down password guessing.
+const RATE_LIMIT = { capacity: 60, refillPerSecond: 20 };
+const EVENT_COSTS = {
+  'authenticate': 5,
+  'icon:upload': 5,
+  'campaign:export': 5,
+  'campaign:import': 10
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  BUNDLE_SCHEMAS,
+  RATE_LIMIT,
+  EVENT_COSTS
+};
@@ -0,0 +1,46 @@
+// Fog of war geometry. Revealed areas are polygons in map-space
+// ([[x, y], ...]); on a fogged scene everything outside them is hidden from
+// players.
+
+const MAX_POLYGON_POINTS = 1000;
+
+// Ray casting point-in-polygon test
+function isPointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isPointRevealed(regions, x, y) {
+  return regions.some(region => isPointInPolygon(x, y, region.points));
+}
+
+// Validate a polygon sent by a client and round its points; null if unusable
+function normalizePolygon(points) {
+  if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+    return null;
+  }
+
+  const normalized = [];
+  for (const point of points) {
+    if (!Array.isArray(point) || point.length !== 2) return null;
+    const x = Number(point[0]);
+    const y = Number(point[1]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    normalized.push([Math.round(x), Math.round(y)]);
+  }
+  return normalized;
+}
+
+module.exports = {
+  MAX_POLYGON_POINTS,
+  isPointInPolygon,
+  isPointRevealed,
+  normalizePolygon
+};
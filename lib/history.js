@@ -0,0 +1,99 @@
+// Action history for DM undo/redo. Every entry records what changed as
+// before/after snapshots of whole rows:
+//
+//   { campaign_id, scene_id, action, label, undone, created_at,
+//     changes: [{ entity: 'token' | 'faction' | 'proposal' | 'annotation' |
+//                         'fog_region', id, before, after }] }
+//
+// `before: null` means the row was created, `after: null` that it was
+// deleted. Undone entries always sit at the end of a campaign's history; a new
+// action throws them away, like any editor's redo stack.
+
+const DEFAULT_LIMIT = 200;
+
+function snapshot(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+function createActionHistory(storage, { limit = DEFAULT_LIMIT } = {}) {
+  let entries = [];
+
+  function campaignEntries(campaignId) {
+    return entries.filter(e => e.campaign_id === campaignId);
+  }
+
+  async function load() {
+    const { data, error } = await storage.select('action_log');
+    if (error) return { data: null, error };
+    entries = (data || []).sort((a, b) => a.id - b.id);
+    return { data: entries, error: null };
+  }
+
+  // Save a new action. Undone actions can no longer be redone after it, and
+  // the oldest actions fall off once the campaign is over the limit.
+  async function record(entry) {
+    const existing = campaignEntries(entry.campaign_id);
+    const applied = existing.filter(e => !e.undone);
+    const dropped = existing
+      .filter(e => e.undone)
+      .concat(applied.slice(0, Math.max(0, applied.length - limit + 1)));
+    for (const e of dropped) {
+      await storage.delete('action_log', { id: e.id });
+    }
+    entries = entries.filter(e => !dropped.includes(e));
+
+    const { data, error } = await storage.insert('action_log', [{
+      ...entry,
+      undone: false,
+      created_at: new Date().toISOString()
+    }]);
+    if (error) return { data: null, error };
+    entries.push(data[0]);
+    return { data: data[0], error: null };
+  }
+
+  // Most recent action that is still applied
+  function nextUndo(campaignId) {
+    const applied = campaignEntries(campaignId).filter(e => !e.undone);
+    return applied[applied.length - 1] || null;
+  }
+
+  // Earliest undone action, i.e. the last one that was undone
+  function nextRedo(campaignId) {
+    return campaignEntries(campaignId).find(e => e.undone) || null;
+  }
+
+  async function setUndone(entry, undone) {
+    entry.undone = undone;
+    return storage.update('action_log', { id: entry.id }, { undone });
+  }
+
+  // Forget a campaign's actions, once what they changed is gone
+  async function clear(campaignId) {
+    entries = entries.filter(e => e.campaign_id !== campaignId);
+    return storage.delete('action_log', { campaign_id: campaignId });
+  }
+
+  // What the DM's undo/redo buttons show
+  function summary(campaignId) {
+    const undo = nextUndo(campaignId);
+    const redo = nextRedo(campaignId);
+    return {
+      undo_label: undo ? undo.label : null,
+      redo_label: redo ? redo.label : null,
+      recent: campaignEntries(campaignId).slice(-20).reverse().map(e => ({
+        id: e.id,
+        label: e.label,
+        undone: e.undone,
+        created_at: e.created_at
+      }))
+    };
+  }
+
+  return { load, record, nextUndo, nextRedo, setUndone, clear, summary };
+}
+
+module.exports = {
+  snapshot,
+  createActionHistory
+};
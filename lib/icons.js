@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Token icon library. Uploads are cropped to a square thumbnail and stored as
+// <content hash>.webp, so the same image uploaded twice shares one file.
+// Tokens point at icons by URL (/icons/<file>).
+
+const ICON_SIZE = 128;
+const MAX_ICON_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_ICON_INPUT_PIXELS = 50 * 1000 * 1000;
+const ICON_URL_PREFIX = '/icons/';
+
+function getIconUrl(filename) {
+  return ICON_URL_PREFIX + filename;
+}
+
+// Resize an uploaded image into the icons folder and return its file name.
+// Throws if the data is not an image sharp can read.
+async function saveIcon(buffer, iconsDir) {
+  const thumbnail = await sharp(buffer, { limitInputPixels: MAX_ICON_INPUT_PIXELS })
+    .rotate() // Respect EXIF orientation of phone photos
+    .resize(ICON_SIZE, ICON_SIZE, { fit: 'cover' })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+  const filename = `${crypto.createHash('sha1').update(thumbnail).digest('hex').slice(0, 16)}.webp`;
+  await fs.promises.mkdir(iconsDir, { recursive: true });
+  await fs.promises.writeFile(path.join(iconsDir, filename), thumbnail);
+  return filename;
+}
+
+async function deleteIconFile(filename, iconsDir) {
+  await fs.promises.rm(path.join(iconsDir, path.basename(filename)), { force: true });
+}
+
+module.exports = {
+  ICON_SIZE,
+  MAX_ICON_UPLOAD_BYTES,
+  getIconUrl,
+  saveIcon,
+  deleteIconFile
+};
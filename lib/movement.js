@@ -0,0 +1,79 @@
+// Routes and movement allowance of tokens.
+//
+// A move can follow a route: from where the token stands through `waypoints`
+// ([{ x, y }], in order) to its destination. Moves and proposals keep their
+// waypoints; their length is that of the whole route.
+//
+// A token's `movement` is how far it may go per turn, in the units of the
+// scene's map scale (see lib/scale.js), or in map pixels while the scene has
+// none; null means no limit. Moves made earlier in the turn (the token's
+// timeline entries) count against it.
+
+// Moves that spend movement; placing, removing and undoing don't
+const SPENDING_SOURCES = ['move', 'proposal'];
+// Slack so a drop right on the edge of the reachable area still fits
+const TOLERANCE_PIXELS = 1;
+const MAX_WAYPOINTS = 20;
+
+// Waypoints from a client or a bundle: numeric points only, at most MAX_WAYPOINTS
+function normalizeWaypoints(waypoints) {
+  if (!Array.isArray(waypoints)) return [];
+  return waypoints
+    .filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))
+    .slice(0, MAX_WAYPOINTS)
+    .map(point => ({ x: point.x, y: point.y }));
+}
+
+// Length of a path through a list of { x, y } points
+function getRouteLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+function getMoveLength(move) {
+  if (move.from_x === null) return 0;
+  return getRouteLength([{ x: move.from_x, y: move.from_y }, ...normalizeWaypoints(move.waypoints), move]);
+}
+
+function toPixels(distance, scale) {
+  return scale ? distance * scale.pixels / scale.distance : distance;
+}
+
+function formatDistance(pixels, scale) {
+  if (!scale) return `${Math.round(pixels)} px`;
+  return `${Math.round(pixels * scale.distance / scale.pixels * 10) / 10} ${scale.unit}`;
+}
+
+// Map pixels a token may still move this turn, or null when it has no limit.
+// `turnMoves` are the token's timeline entries of the current turn.
+function getRemainingMovement(token, scale, turnMoves) {
+  if (typeof token.movement !== 'number') return null;
+  const spent = turnMoves
+    .filter(move => SPENDING_SOURCES.includes(move.source))
+    .reduce((total, move) => total + getMoveLength(move), 0);
+  return Math.max(0, toPixels(token.movement, scale) - spent);
+}
+
+// Check a move of a token from where it stands through `waypoints` to (x, y).
+// Returns { data, error } with data { distance, remaining } in map pixels and
+// error a message when the route is longer than what the token has left.
+function checkMovement(token, scale, turnMoves, x, y, waypoints = []) {
+  const distance = getRouteLength([token, ...waypoints, { x, y }]);
+  const remaining = getRemainingMovement(token, scale, turnMoves);
+  if (remaining !== null && distance > remaining + TOLERANCE_PIXELS) {
+    return {
+      data: { distance, remaining },
+      error: `${token.name} can move ${formatDistance(remaining, scale)} more this turn, not ${formatDistance(distance, scale)}`
+    };
+  }
+  return { data: { distance, remaining }, error: null };
+}
+
+module.exports = {
+  MAX_WAYPOINTS,
+  normalizeWaypoints,
+  checkMovement
+};
@@ -0,0 +1,53 @@
+const { HIDEABLE_FIELDS, isFieldHidden } = require('./visibility');
+
+// What players may do with the tokens they own (`owner_player_id`). The DM
+// changes anything; an owner only the fields in OWNER_EDITABLE_FIELDS, and
+// moves the token the way its `owner_moves` says:
+//
+//   proposal   every move is a proposal the DM approves (the default)
+//   free       the owner moves it directly, within its movement
+//
+// Either way players only move tokens in their faction's phase.
+
+const OWNER_EDITABLE_FIELDS = ['current_hp', 'notes', 'conditions'];
+const OWNER_MOVE_MODES = ['proposal', 'free'];
+
+function isTokenOwner(client, token) {
+  return !!client.playerId && token.owner_player_id === client.playerId;
+}
+
+function canOwnerMoveFreely(client, token) {
+  return isTokenOwner(client, token) && token.owner_moves === 'free';
+}
+
+function getFieldGroup(field) {
+  return Object.keys(HIDEABLE_FIELDS).find(group => HIDEABLE_FIELDS[group].includes(field));
+}
+
+// Check the changes ({ field: value }) a player asks for on a token. Fields
+// the DM hid from players can't be changed either. Returns { data, error }
+// with data the changes to save.
+function checkOwnerChanges(client, token, changes) {
+  if (!isTokenOwner(client, token)) return { data: null, error: 'You can only edit your own tokens' };
+
+  const refused = Object.keys(changes).filter(field =>
+    !OWNER_EDITABLE_FIELDS.includes(field) || isFieldHidden(token, getFieldGroup(field))
+  );
+  if (refused.length > 0) {
+    return { data: null, error: `You can't change ${refused.join(', ')} on this token` };
+  }
+
+  const data = { ...changes };
+  if ('current_hp' in data && token.max_hp > 0) {
+    data.current_hp = Math.min(data.current_hp, token.max_hp);
+  }
+  return { data, error: null };
+}
+
+module.exports = {
+  OWNER_EDITABLE_FIELDS,
+  OWNER_MOVE_MODES,
+  isTokenOwner,
+  canOwnerMoveFreely,
+  checkOwnerChanges
+};
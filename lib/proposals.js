@@ -0,0 +1,74 @@
+// Life of a move proposal. A player's proposal is `pending` until the DM
+// approves or rejects it; the DM can also counter-propose another spot, which
+// moves the ghost there (`countered`) for the player to accept, or to answer
+// by moving the ghost again. Players cancel their own proposals.
+//
+// Closed proposals are kept with their `status_history` ([{ status, by, at }],
+// counters also note the spot they replaced as `from`) and their `comments`
+// ([{ author, role, text, at }]), so the reasons behind a move aren't lost.
+
+const PROPOSAL_STATUSES = ['pending', 'countered', 'approved', 'rejected', 'cancelled'];
+const OPEN_STATUSES = ['pending', 'countered'];
+const MAX_REASON_LENGTH = 500;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_COMMENTS = 100;
+
+// Proposals stored before they had a status are pending
+function isOpenProposal(proposal) {
+  return OPEN_STATUSES.includes(proposal.status || 'pending');
+}
+
+function describeActor(actor) {
+  return actor.userRole === 'dm' ? 'DM' : (actor.playerName || 'Player');
+}
+
+// Put a proposal in a new status, noting who did it. Returns the changed
+// fields, for storage.
+function setProposalStatus(proposal, status, actor, details = {}) {
+  proposal.status = status;
+  proposal.status_history = [
+    ...(proposal.status_history || []),
+    { status, by: describeActor(actor), at: new Date().toISOString(), ...details }
+  ];
+  return { status, status_history: proposal.status_history };
+}
+
+// Add to a proposal's thread; the oldest comments go past MAX_COMMENTS.
+// Returns the changed fields, for storage.
+function addProposalComment(proposal, actor, text) {
+  proposal.comments = [
+    ...(proposal.comments || []),
+    { author: describeActor(actor), role: actor.userRole === 'dm' ? 'dm' : 'player', text, at: new Date().toISOString() }
+  ].slice(-MAX_COMMENTS);
+  return { comments: proposal.comments };
+}
+
+// Status, reason and thread of a proposal found in a bundle
+function normalizeProposalDiscussion(proposal) {
+  const isEntry = entry => entry && typeof entry === 'object' && typeof entry.at === 'string';
+  return {
+    status: PROPOSAL_STATUSES.includes(proposal.status) ? proposal.status : 'pending',
+    reason: typeof proposal.reason === 'string' ? proposal.reason.slice(0, MAX_REASON_LENGTH) : '',
+    comments: (Array.isArray(proposal.comments) ? proposal.comments : [])
+      .filter(comment => isEntry(comment) && typeof comment.text === 'string')
+      .slice(-MAX_COMMENTS)
+      .map(comment => ({
+        author: String(comment.author || ''),
+        role: comment.role === 'dm' ? 'dm' : 'player',
+        text: comment.text.slice(0, MAX_COMMENT_LENGTH),
+        at: comment.at
+      })),
+    status_history: (Array.isArray(proposal.status_history) ? proposal.status_history : [])
+      .filter(entry => isEntry(entry) && PROPOSAL_STATUSES.includes(entry.status))
+  };
+}
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  MAX_REASON_LENGTH,
+  MAX_COMMENT_LENGTH,
+  isOpenProposal,
+  setProposalStatus,
+  addProposalComment,
+  normalizeProposalDiscussion
+};
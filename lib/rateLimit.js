@@ -0,0 +1,21 @@
+// Token bucket rate limiting. A client may spend up to `capacity` at once
+// (moving a pool of tokens sends one event per token) and earns
+// `refillPerSecond` back over time.
+function createRateLimiter({ capacity, refillPerSecond }, now = Date.now) {
+  let available = capacity;
+  let updatedAt = now();
+
+  // Spend `cost` if there is enough left; false means the request is refused
+  function take(cost = 1) {
+    const time = now();
+    available = Math.min(capacity, available + ((time - updatedAt) / 1000) * refillPerSecond);
+    updatedAt = time;
+    if (available < cost) return false;
+    available -= cost;
+    return true;
+  }
+
+  return { take };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,88 @@
+const { isPointInPolygon } = require('./fog');
+
+// Rules of region annotations (see lib/annotations.js). When a token's move
+// takes it into or out of a region, the region's `triggers` that fit fire:
+//
+//   { on: 'enter' | 'leave', faction, action, token_id, target_faction }
+//
+// `faction` limits a trigger to tokens of that faction ('' = any token).
+// Actions: 'notify' alerts the DM, 'reveal_token' shows the hidden token
+// `token_id` to players (null = the token that moved) and 'reveal_faction'
+// makes the stats of `target_faction` visible ('' = the moving token's).
+//
+// A region with `auto_control` goes to a faction once that faction's tokens
+// are the only ones in it; an empty region keeps its owner.
+
+const TRIGGER_EVENTS = ['enter', 'leave'];
+const TRIGGER_ACTIONS = ['notify', 'reveal_token', 'reveal_faction'];
+const MAX_TRIGGERS = 20;
+const MAX_NAME_LENGTH = 100;
+
+function normalizeName(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+// Triggers from a client or a bundle; unusable ones are dropped
+function normalizeTriggers(triggers) {
+  if (!Array.isArray(triggers)) return [];
+  return triggers
+    .filter(trigger => trigger && TRIGGER_EVENTS.includes(trigger.on) && TRIGGER_ACTIONS.includes(trigger.action))
+    .slice(0, MAX_TRIGGERS)
+    .map(trigger => ({
+      on: trigger.on,
+      action: trigger.action,
+      faction: normalizeName(trigger.faction),
+      token_id: trigger.action === 'reveal_token' && Number.isInteger(trigger.token_id) ? trigger.token_id : null,
+      target_faction: trigger.action === 'reveal_faction' ? normalizeName(trigger.target_faction) : ''
+    }));
+}
+
+// Regions whose crossings matter: the ones with triggers or automatic control
+function hasRegionRules(annotation) {
+  return annotation.kind === 'region' && (annotation.auto_control === true || (annotation.triggers || []).length > 0);
+}
+
+function isInRegion(region, point) {
+  return isPointInPolygon(point.x, point.y, region.points);
+}
+
+// Regions entered and left along a route ([{ x, y }, ...], where the token
+// started first), in the order it happened: [{ region, event }]
+function getRegionCrossings(regions, route) {
+  const crossings = [];
+  for (let i = 1; i < route.length; i++) {
+    for (const region of regions) {
+      const wasInside = isInRegion(region, route[i - 1]);
+      const isInside = isInRegion(region, route[i]);
+      if (wasInside !== isInside) crossings.push({ region, event: isInside ? 'enter' : 'leave' });
+    }
+  }
+  return crossings;
+}
+
+function getMatchingTriggers(region, event, token) {
+  return (region.triggers || []).filter(trigger =>
+    trigger.on === event && (!trigger.faction || trigger.faction === token.faction)
+  );
+}
+
+// The faction whose tokens are the only ones in a region, or null when the
+// region is empty or contested. Tokens without a faction don't count.
+function getControllingFaction(region, sceneTokens) {
+  const factions = new Set(sceneTokens
+    .filter(token => token.faction && isInRegion(region, token))
+    .map(token => token.faction));
+  return factions.size === 1 ? [...factions][0] : null;
+}
+
+module.exports = {
+  TRIGGER_EVENTS,
+  TRIGGER_ACTIONS,
+  MAX_TRIGGERS,
+  normalizeTriggers,
+  hasRegionRules,
+  isInRegion,
+  getRegionCrossings,
+  getMatchingTriggers,
+  getControllingFaction
+};
@@ -0,0 +1,46 @@
+// Map scale of a scene, set by the DM by drawing a line over a known
+// distance: `pixels` on the map measure `distance` in `unit` (miles, leagues,
+// feet...). Travel speeds are in units per hour; a travel day is
+// `hours_per_day` hours of marching. Clients turn pixel lengths into
+// distances and travel times with it; the server only stores it.
+
+const DEFAULT_SPEEDS = [
+  { name: 'Slow', per_hour: 2 },
+  { name: 'Normal', per_hour: 3 },
+  { name: 'Fast', per_hour: 4 }
+];
+const DEFAULT_HOURS_PER_DAY = 8;
+const MAX_SPEEDS = 10;
+const MAX_UNIT_LENGTH = 20;
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Clean up a scale sent by a client or found in a bundle: speeds and hours
+// per day fall back to the defaults. Null when it isn't a usable scale.
+function normalizeScale(scale) {
+  if (!scale || typeof scale !== 'object') return null;
+  if (!isPositive(scale.pixels) || !isPositive(scale.distance)) return null;
+  const unit = typeof scale.unit === 'string' ? scale.unit.trim().slice(0, MAX_UNIT_LENGTH) : '';
+  if (!unit) return null;
+
+  const speeds = (Array.isArray(scale.speeds) ? scale.speeds : [])
+    .filter(speed => speed && typeof speed.name === 'string' && speed.name.trim() && isPositive(speed.per_hour))
+    .slice(0, MAX_SPEEDS)
+    .map(speed => ({ name: speed.name.trim(), per_hour: speed.per_hour }));
+
+  return {
+    pixels: scale.pixels,
+    distance: scale.distance,
+    unit,
+    speeds: speeds.length > 0 ? speeds : DEFAULT_SPEEDS,
+    hours_per_day: isPositive(scale.hours_per_day) && scale.hours_per_day <= 24 ? scale.hours_per_day : DEFAULT_HOURS_PER_DAY
+  };
+}
+
+module.exports = {
+  MAX_SPEEDS,
+  MAX_UNIT_LENGTH,
+  normalizeScale
+};
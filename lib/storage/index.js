@@ -0,0 +1,42 @@
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createJsonFileStorage } = require('./json-file');
+const { createSupabaseStorage } = require('./supabase');
+
+// Storage layer for campaign state. Every backend exposes the same async API,
+// resolving to `{ data, error }` like supabase-js:
+//
+//   select(table, match?)          -> matching rows
+//   insert(table, rows)            -> inserted rows (missing ids are assigned)
+//   update(table, match, changes)  -> updated rows
+//   delete(table, match?)          -> deleted rows (empty match = all rows)
+//
+// `match` is an object of column/value equalities, e.g. { id: 3 }.
+// Tables: campaigns, scenes, tokens, faction_stats, move_proposals,
+// movable_factions, fog_regions, annotations, token_moves, session_log,
+// chat_messages, icons, players, player_sessions, action_log.
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', '..', 'data', 'campaign.json');
+
+// STORAGE=supabase|file|memory; defaults to Supabase when it is configured
+function createStorage(env = process.env) {
+  const backend = env.STORAGE || (env.SUPABASE_URL ? 'supabase' : 'file');
+
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+    case 'file':
+      return createJsonFileStorage(env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE backend "${backend}" (expected supabase, file or memory)`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  createMemoryStorage,
+  createJsonFileStorage,
+  createSupabaseStorage
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage, matches } = require('./memory');
+
+// Local storage backend: keeps every table in memory and saves them to a
+// single JSON file. Works without a network.
+//
+// Rewriting the whole campaign (undo snapshots, chat and move history
+// included) after every change gets slow as it grows, so changes are
+// appended to a journal next to it (`<file>.journal`, one JSON line each)
+// and the file itself is only rewritten once COMPACT_AFTER changes piled up.
+// Loading replays the journal over the file.
+
+const COMPACT_AFTER = 1000;
+
+function readTables(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Changes in a journal. A line cut short by a crash ends it.
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  const changes = [];
+  for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      changes.push(JSON.parse(line));
+    } catch (error) {
+      break;
+    }
+  }
+  return changes;
+}
+
+// Apply a journaled change to the tables. Inserted rows already in a table
+// are skipped, so replaying changes the file already holds (a crash between
+// compacting and clearing the journal) does no harm.
+function applyChange(tables, { op, table, rows, match, changes }) {
+  const tableRows = tables[table] || (tables[table] = []);
+  if (op === 'insert') {
+    tableRows.push(...rows.filter(row => !tableRows.some(existing => existing.id === row.id)));
+  } else if (op === 'update') {
+    tableRows.filter(row => matches(row, match)).forEach(row => Object.assign(row, changes));
+  } else if (op === 'delete') {
+    tables[table] = tableRows.filter(row => !matches(row, match));
+  }
+}
+
+function createJsonFileStorage(filePath) {
+  const journalPath = filePath + '.journal';
+  const tables = readTables(filePath);
+  const replayed = readJournal(journalPath);
+  replayed.forEach(change => applyChange(tables, change));
+
+  const memory = createMemoryStorage(tables);
+  let journaled = replayed.length;
+  let writeQueue = Promise.resolve();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Writes are serialized, and the file goes through a temp file so a crash
+  // mid-write never leaves a truncated campaign file behind
+  function compact() {
+    const snapshot = JSON.stringify(memory.tables, null, 2);
+    const tempPath = filePath + '.tmp';
+    return fs.promises.writeFile(tempPath, snapshot)
+      .then(() => fs.promises.rename(tempPath, filePath))
+      .then(() => fs.promises.writeFile(journalPath, ''));
+  }
+
+  function persist(change) {
+    const line = JSON.stringify(change) + '\n';
+    const shouldCompact = ++journaled >= COMPACT_AFTER;
+    if (shouldCompact) journaled = 0;
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => shouldCompact ? compact() : fs.promises.appendFile(journalPath, line));
+    return writeQueue;
+  }
+
+  function persisted(method, toChange) {
+    return async (...args) => {
+      const result = await memory[method](...args);
+      try {
+        await persist(toChange(result, ...args));
+      } catch (error) {
+        return { data: null, error: { message: `Could not write ${filePath}: ${error.message}` } };
+      }
+      return result;
+    };
+  }
+
+  return {
+    name: 'file',
+    select: memory.select,
+    insert: persisted('insert', (result, table) => ({ op: 'insert', table, rows: result.data })),
+    update: persisted('update', (result, table, match, changes) => ({ op: 'update', table, match, changes })),
+    delete: persisted('delete', (result, table, match = {}) => ({ op: 'delete', table, match }))
+  };
+}
+
+module.exports = { createJsonFileStorage };
@@ -0,0 +1,82 @@
+// In-memory storage backend. Nothing survives a restart; useful for tests and
+// throwaway sessions, and as the working copy behind the JSON file backend.
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function matches(row, match) {
+  return Object.entries(match).every(([key, value]) => row[key] === value);
+}
+
+function createMemoryStorage(initialTables = {}) {
+  const tables = clone(initialTables);
+  const nextIds = {};
+
+  function getTable(table) {
+    if (!tables[table]) {
+      tables[table] = [];
+    }
+    return tables[table];
+  }
+
+  // Mirror the SERIAL columns in supabase-setup.sql: each table counts up
+  // from past its highest loaded id and never hands out an id twice
+  function seedId(table) {
+    if (!(table in nextIds)) {
+      nextIds[table] = getTable(table).reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+    }
+  }
+
+  function takeId(table) {
+    seedId(table);
+    return nextIds[table]++;
+  }
+
+  // Rows inserted with their own id move the counter past it
+  function noteId(table, id) {
+    seedId(table);
+    nextIds[table] = Math.max(nextIds[table], id + 1);
+  }
+
+  return {
+    name: 'memory',
+    tables,
+
+    async select(table, match = {}) {
+      return { data: clone(getTable(table).filter(row => matches(row, match))), error: null };
+    },
+
+    async insert(table, rows) {
+      const tableRows = getTable(table);
+      const inserted = rows.map(row => {
+        const stored = clone(row);
+        if (stored.id === undefined || stored.id === null) {
+          stored.id = takeId(table);
+        } else if (Number.isInteger(stored.id)) {
+          noteId(table, stored.id);
+        }
+        tableRows.push(stored);
+        return clone(stored);
+      });
+      return { data: inserted, error: null };
+    },
+
+    async update(table, match, changes) {
+      const updated = getTable(table)
+        .filter(row => matches(row, match))
+        .map(row => Object.assign(row, clone(changes)));
+      return { data: clone(updated), error: null };
+    },
+
+    // An empty match deletes every row in the table
+    async delete(table, match = {}) {
+      const tableRows = getTable(table);
+      const deleted = tableRows.filter(row => matches(row, match));
+      tables[table] = tableRows.filter(row => !matches(row, match));
+      return { data: clone(deleted), error: null };
+    }
+  };
+}
+
+module.exports = { createMemoryStorage, matches };
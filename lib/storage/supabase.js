@@ -0,0 +1,48 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase storage backend (tables from supabase-setup.sql)
+
+function applyMatch(query, match) {
+  Object.entries(match).forEach(([key, value]) => {
+    query = query.eq(key, value);
+  });
+  return query;
+}
+
+// supabase-js reports most failures as `error`, but network problems can still throw
+async function run(query) {
+  try {
+    const { data, error } = await query;
+    return { data, error };
+  } catch (error) {
+    return { data: null, error: { message: error.message } };
+  }
+}
+
+function createSupabaseStorage(url, key) {
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    select(table, match = {}) {
+      return run(applyMatch(supabase.from(table).select('*'), match));
+    },
+
+    insert(table, rows) {
+      return run(supabase.from(table).insert(rows).select());
+    },
+
+    update(table, match, changes) {
+      return run(applyMatch(supabase.from(table).update(changes), match).select());
+    },
+
+    // An empty match deletes every row (Supabase refuses unfiltered deletes)
+    delete(table, match = {}) {
+      const query = supabase.from(table).delete();
+      return run(Object.keys(match).length > 0 ? applyMatch(query, match).select() : query.neq('id', 0).select());
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
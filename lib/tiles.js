@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Deep Zoom tile pyramid for the campaign map.
+// Level `maxLevel` is the source image at full resolution; every level below
+// halves it, down to level 0 which is a single 1x1 tile. Map-space coordinates
+// (token x/y) are always pixels of the full-resolution source image.
+
+const DEFAULT_TILE_SIZE = 256;
+const TILE_FORMAT = 'jpeg';
+
+function getMaxLevel(width, height) {
+  return Math.ceil(Math.log2(Math.max(width, height, 1)));
+}
+
+function getPyramidDir(sourcePath, tilesRoot) {
+  const name = path.basename(sourcePath, path.extname(sourcePath));
+  return path.join(tilesRoot, name);
+}
+
+// Read only the image header so the map size is known before tiles exist
+async function readMapSize(sourcePath) {
+  const metadata = await sharp(sourcePath, { limitInputPixels: false }).metadata();
+  return { width: metadata.width, height: metadata.height };
+}
+
+function readPyramidInfo(pyramidDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(pyramidDir, 'info.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the pyramid unless an up-to-date one already exists for this source image
+async function ensureTilePyramid(sourcePath, tilesRoot, tileSize = DEFAULT_TILE_SIZE) {
+  const sourceStats = fs.statSync(sourcePath);
+  const pyramidDir = getPyramidDir(sourcePath, tilesRoot);
+  const existing = readPyramidInfo(pyramidDir);
+
+  if (existing &&
+      existing.source_size === sourceStats.size &&
+      existing.source_mtime === sourceStats.mtimeMs &&
+      existing.tileSize === tileSize) {
+    console.log('🗺️ Using existing map tiles:', pyramidDir);
+    return existing;
+  }
+
+  console.log('🗺️ Generating map tiles from', sourcePath, '(this can take a few minutes for large maps)');
+  fs.rmSync(pyramidDir, { recursive: true, force: true });
+  fs.mkdirSync(pyramidDir, { recursive: true });
+
+  const { width, height } = await readMapSize(sourcePath);
+  await sharp(sourcePath, { limitInputPixels: false })
+    .jpeg({ quality: 85 })
+    .tile({ size: tileSize, overlap: 0, layout: 'dz' })
+    .toFile(path.join(pyramidDir, 'map.dz'));
+
+  const info = {
+    width,
+    height,
+    tileSize,
+    maxLevel: getMaxLevel(width, height),
+    format: TILE_FORMAT,
+    source_size: sourceStats.size,
+    source_mtime: sourceStats.mtimeMs
+  };
+  fs.writeFileSync(path.join(pyramidDir, 'info.json'), JSON.stringify(info, null, 2));
+  console.log(`✅ Map tiles generated: ${width}x${height}, ${info.maxLevel + 1} levels`);
+  return info;
+}
+
+module.exports = {
+  DEFAULT_TILE_SIZE,
+  getMaxLevel,
+  getPyramidDir,
+  readMapSize,
+  ensureTilePyramid
+};
+
+// Allow pre-generating tiles without starting the server: `npm run tiles`
+if (require.main === module) {
+  require('dotenv').config();
+  const sourcePath = process.env.MAP_IMAGE || path.join(__dirname, '..', 'public', 'map.webp');
+  const tilesRoot = process.env.TILES_DIR || path.join(__dirname, '..', 'tiles');
+  ensureTilePyramid(sourcePath, tilesRoot).catch(error => {
+    console.log('❌ Tile generation failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,73 @@
+// Faction turn tracker. Each in-game turn is split into phases, one per
+// faction in a campaign's `turn_order`; `active_turn_index` points at the
+// faction whose phase it is, or is null while the tracker is stopped (the DM
+// then just counts turns). Token moves are stamped with `current_turn`.
+
+const END_OF_PHASE_ACTIONS = ['keep', 'clear', 'approve'];
+const MAX_TURN_ORDER = 50;
+
+// Clean up a turn order sent by a client: unique, trimmed faction names.
+// Null if it is not a list of names.
+function normalizeTurnOrder(factions) {
+  if (!Array.isArray(factions) || factions.length > MAX_TURN_ORDER) return null;
+
+  const names = [];
+  for (const faction of factions) {
+    if (typeof faction !== 'string') return null;
+    const name = faction.trim();
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+function isTrackerRunning(campaign) {
+  return !!campaign &&
+    Array.isArray(campaign.turn_order) &&
+    Number.isInteger(campaign.active_turn_index) &&
+    campaign.active_turn_index >= 0 &&
+    campaign.active_turn_index < campaign.turn_order.length;
+}
+
+function getActiveFaction(campaign) {
+  return isTrackerRunning(campaign) ? campaign.turn_order[campaign.active_turn_index] : null;
+}
+
+// Whether tokens of a faction may move right now. Factions outside the turn
+// order are not affected by the tracker.
+function isFactionsPhase(campaign, faction) {
+  if (!isTrackerRunning(campaign) || !campaign.turn_order.includes(faction)) return true;
+  return getActiveFaction(campaign) === faction;
+}
+
+// Turn and phase once the current phase ends: the next faction, or the first
+// faction of the next turn after the last one
+function getNextPhase(campaign) {
+  const turn = campaign.current_turn || 1;
+  if (!isTrackerRunning(campaign)) {
+    return { current_turn: turn + 1, active_turn_index: null };
+  }
+
+  const nextIndex = campaign.active_turn_index + 1;
+  return nextIndex < campaign.turn_order.length
+    ? { current_turn: turn, active_turn_index: nextIndex }
+    : { current_turn: turn + 1, active_turn_index: 0 };
+}
+
+// Turn order from initiative rolls ([{ faction, total }]), highest first.
+// Ties keep their current order.
+function orderByInitiative(rolls) {
+  return rolls
+    .map((roll, index) => ({ ...roll, index }))
+    .sort((a, b) => b.total - a.total || a.index - b.index)
+    .map(roll => roll.faction);
+}
+
+module.exports = {
+  END_OF_PHASE_ACTIONS,
+  normalizeTurnOrder,
+  isTrackerRunning,
+  getActiveFaction,
+  isFactionsPhase,
+  getNextPhase,
+  orderByInitiative
+};
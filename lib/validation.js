@@ -0,0 +1,175 @@
+const { isValidDiceNotation } = require('./dice');
+
+// Small declarative validator for client payloads. A schema is a plain object
+// with a `type`:
+//
+//   integer / number   { min, max }
+//   string             { max, pattern }
+//   boolean, color (#rrggbb), dice (see lib/dice.js)
+//   binary             { max }             uploaded file data, max in bytes
+//   any                                    checked by the handler itself
+//   enum               { values }
+//   coordinate         { axis: 'x' | 'y' } inside the map when its size is known,
+//                      rounded to a whole pixel as the database stores them
+//   array              { items, max }
+//   object             { fields }          unknown fields are dropped
+//   union              { schemas }         the first of the schemas that fits
+//
+// plus `optional` (may be left out) and `nullable` (may be null). Build them
+// with the helpers below rather than by hand.
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Tokens may sit a little off the map edge (pools spread around a point)
+const MAP_MARGIN = 200;
+const MAX_COORDINATE = 1000000;
+
+const integer = (min, max, options) => ({ type: 'integer', min, max, ...options });
+const number = (min, max, options) => ({ type: 'number', min, max, ...options });
+const string = (max, options) => ({ type: 'string', max, ...options });
+const boolean = options => ({ type: 'boolean', ...options });
+const color = options => ({ type: 'color', ...options });
+const dice = options => ({ type: 'dice', ...options });
+const oneOf = (values, options) => ({ type: 'enum', values, ...options });
+const coordinate = (axis, options) => ({ type: 'coordinate', axis, ...options });
+const arrayOf = (items, max, options) => ({ type: 'array', items, max, ...options });
+const object = (fields, options) => ({ type: 'object', fields, ...options });
+const binary = (max, options) => ({ type: 'binary', max, ...options });
+const any = options => ({ type: 'any', ...options });
+const anyOf = (schemas, options) => ({ type: 'union', schemas, ...options });
+const optional = schema => ({ ...schema, optional: true });
+const nullable = schema => ({ ...schema, nullable: true });
+
+function describe(path) {
+  return path || 'payload';
+}
+
+function fail(path, message) {
+  return { data: null, error: { field: describe(path), message: `${describe(path)} ${message}` } };
+}
+
+function checkRange(schema, value, path) {
+  if (schema.min !== undefined && value < schema.min) return fail(path, `must be at least ${schema.min}`);
+  if (schema.max !== undefined && value > schema.max) return fail(path, `must be at most ${schema.max}`);
+  return { data: value, error: null };
+}
+
+// Check a value against a schema. `context.mapSize` ({ width, height }) bounds
+// coordinates. Returns { data, error } with data the cleaned value and error
+// { field, message } for the first problem found.
+function validate(schema, value, context = {}, path = '') {
+  if (value === undefined) {
+    return schema.optional ? { data: undefined, error: null } : fail(path, 'is required');
+  }
+  if (value === null) {
+    return schema.nullable ? { data: null, error: null } : fail(path, 'must not be empty');
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return fail(path, 'must be a whole number');
+      return checkRange(schema, value, path);
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, 'must be a number');
+      return checkRange(schema, value, path);
+
+    case 'coordinate': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, 'must be a number');
+      const size = context.mapSize && (schema.axis === 'x' ? context.mapSize.width : context.mapSize.height);
+      const max = size ? size + MAP_MARGIN : MAX_COORDINATE;
+      const min = size ? -MAP_MARGIN : -MAX_COORDINATE;
+      const rounded = Math.round(value);
+      if (rounded < min || rounded > max) return fail(path, 'is outside the map');
+      return { data: rounded, error: null };
+    }
+
+    case 'string':
+      if (typeof value !== 'string') return fail(path, 'must be text');
+      if (schema.max !== undefined && value.length > schema.max) return fail(path, `must be at most ${schema.max} characters`);
+      if (schema.pattern && !schema.pattern.test(value)) return fail(path, 'has an invalid format');
+      return { data: value, error: null };
+
+    case 'binary':
+      if (!Buffer.isBuffer(value) && !(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)) return fail(path, 'must be file data');
+      if (schema.max !== undefined && value.byteLength > schema.max) return fail(path, `must be at most ${schema.max} bytes`);
+      return { data: value, error: null };
+
+    case 'any':
+      return { data: value, error: null };
+
+    // The error of the last schema tried when none fits
+    case 'union': {
+      let result;
+      for (const option of schema.schemas) {
+        result = validate(option, value, context, path);
+        if (!result.error) return result;
+      }
+      return result;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(path, 'must be true or false');
+      return { data: value, error: null };
+
+    case 'color':
+      if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) return fail(path, 'must be a color like #ff0000');
+      return { data: value.toLowerCase(), error: null };
+
+    // Empty means no dice; the token's attack then counts as 0
+    case 'dice': {
+      if (typeof value !== 'string') return fail(path, 'must be dice notation like 1d6+2');
+      const notation = value.trim();
+      if (notation && !isValidDiceNotation(notation)) return fail(path, 'must be dice notation like 1d6+2');
+      return { data: notation, error: null };
+    }
+
+    case 'enum':
+      if (!schema.values.includes(value)) return fail(path, `must be one of: ${schema.values.join(', ')}`);
+      return { data: value, error: null };
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail(path, 'must be a list');
+      if (schema.max !== undefined && value.length > schema.max) return fail(path, `must have at most ${schema.max} items`);
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const { data, error } = validate(schema.items, value[i], context, `${describe(path)}[${i}]`);
+        if (error) return { data: null, error };
+        items.push(data);
+      }
+      return { data: items, error: null };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail(path, 'must be an object');
+      const cleaned = {};
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        const { data, error } = validate(fieldSchema, value[field], context, path ? `${path}.${field}` : field);
+        if (error) return { data: null, error };
+        if (data !== undefined) cleaned[field] = data;
+      }
+      return { data: cleaned, error: null };
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+module.exports = {
+  integer,
+  number,
+  string,
+  boolean,
+  color,
+  dice,
+  oneOf,
+  coordinate,
+  arrayOf,
+  object,
+  binary,
+  any,
+  anyOf,
+  optional,
+  nullable,
+  validate
+};
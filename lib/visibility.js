@@ -0,0 +1,45 @@
+// Field-level visibility of tokens. The DM can hide groups of fields from
+// players per token (`hidden_fields`), and `dm_notes` is never shown to them.
+// Every token sent to a player socket goes through toPlayerToken.
+
+const HIDEABLE_FIELDS = {
+  hp: ['hp', 'max_hp', 'current_hp'],
+  attack: ['attack'],
+  counterattack: ['counterattack'],
+  special: ['special'],
+  notes: ['notes']
+};
+
+const DM_ONLY_FIELDS = ['dm_notes'];
+
+// Known field groups from a client's list, without duplicates
+function normalizeHiddenFields(fields) {
+  if (!Array.isArray(fields)) return [];
+  return Object.keys(HIDEABLE_FIELDS).filter(group => fields.includes(group));
+}
+
+function isFieldHidden(token, group) {
+  return Array.isArray(token.hidden_fields) && token.hidden_fields.includes(group);
+}
+
+// Copy of a token without anything players may not see. `hidden_fields` is
+// kept so the client knows to leave those stats out instead of showing 0.
+function toPlayerToken(token) {
+  const playerToken = { ...token };
+  for (const field of DM_ONLY_FIELDS) {
+    delete playerToken[field];
+  }
+  for (const group of normalizeHiddenFields(token.hidden_fields)) {
+    for (const field of HIDEABLE_FIELDS[group]) {
+      delete playerToken[field];
+    }
+  }
+  return playerToken;
+}
+
+module.exports = {
+  HIDEABLE_FIELDS,
+  normalizeHiddenFields,
+  isFieldHidden,
+  toPlayerToken
+};
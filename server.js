@@ -2,7 +2,48 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('./lib/storage');
+const { ensureTilePyramid, getPyramidDir, readMapSize } = require('./lib/tiles');
+const { isPointRevealed, normalizePolygon } = require('./lib/fog');
+const { MAX_ICON_UPLOAD_BYTES, getIconUrl, saveIcon, deleteIconFile } = require('./lib/icons');
+const { MODES: ROLL_MODES, rollDice } = require('./lib/dice');
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  generateInviteCode,
+  normalizeInviteCode,
+  generateSessionToken,
+  hashSessionToken,
+  getBearerToken,
+  isSameKey
+} = require('./lib/auth');
+const { snapshot, createActionHistory } = require('./lib/history');
+const { normalizeHiddenFields, isFieldHidden, toPlayerToken } = require('./lib/visibility');
+const { normalizeScale } = require('./lib/scale');
+const { normalizeWaypoints, checkMovement } = require('./lib/movement');
+const { isOpenProposal, setProposalStatus, addProposalComment } = require('./lib/proposals');
+const { normalizeAnnotation, isAnnotationVisibleToPlayers } = require('./lib/annotations');
+const { hasRegionRules, isInRegion, getRegionCrossings, getMatchingTriggers, getControllingFaction } = require('./lib/regions');
+const { canSeeMessage, getChatPage } = require('./lib/chat');
+const { OWNER_MOVE_MODES, isTokenOwner, canOwnerMoveFreely, checkOwnerChanges } = require('./lib/ownership');
+const { normalizeConditions, hasTimedConditions, tickConditions } = require('./lib/conditions');
+const { IMPORT_MODES, MAX_BUNDLE_BYTES, createBundle, readBundle } = require('./lib/bundle');
+const { validate } = require('./lib/validation');
+const { EVENT_SCHEMAS, BUNDLE_SCHEMAS, RATE_LIMIT, EVENT_COSTS } = require('./lib/events');
+const { createRateLimiter } = require('./lib/rateLimit');
+const {
+  END_OF_PHASE_ACTIONS,
+  normalizeTurnOrder,
+  isTrackerRunning,
+  getActiveFaction,
+  isFactionsPhase,
+  getNextPhase,
+  orderByInitiative
+} = require('./lib/turns');
 
 require('dotenv').config();
 
@@ -12,678 +53,3931 @@ const io = socketIo(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
-  }
+  },
+  // Room for the DM's icon uploads and campaign imports (see lib/icons.js,
+  // lib/bundle.js); everyone else keeps Socket.IO's default, see below
+  maxHttpBufferSize: Math.max(MAX_ICON_UPLOAD_BYTES, MAX_BUNDLE_BYTES) + 64 * 1024
 });
+const DEFAULT_MAX_FRAME_BYTES = 1e6;
+
+// Storage setup (Supabase, local JSON file or memory - see lib/storage)
+const storage = createStorage();
+console.log('💾 Using storage backend:', storage.name);
+
+// Serve static files
+app.use(express.static('public'));
+app.use(express.json({ limit: MAX_BUNDLE_BYTES }));
+
+// Default map image and its tile pyramid (generated on demand, see lib/tiles.js)
+const MAP_IMAGE = process.env.MAP_IMAGE || path.join(__dirname, 'public', 'map.webp');
+const TILES_DIR = process.env.TILES_DIR || path.join(__dirname, 'tiles');
+app.use('/tiles', express.static(TILES_DIR));
+
+// Scene maps are picked from this folder
+const MAPS_DIR = process.env.MAPS_DIR || path.dirname(MAP_IMAGE);
+const MAP_EXTENSIONS = ['.webp', '.png', '.jpg', '.jpeg'];
+app.use('/maps', express.static(MAPS_DIR));
+
+// Uploaded token icon thumbnails
+const ICONS_DIR = process.env.ICONS_DIR || path.join(__dirname, 'icons');
+app.use('/icons', express.static(ICONS_DIR));
+
+// Map metadata per image file. Until tiles are ready, clients fall back to
+// the single full-size image.
+const mapInfos = new Map();
+let tileQueue = Promise.resolve();
+
+// Campaigns group scenes. Each scene has its own map, tokens and proposals;
+// faction stats and movable factions belong to the campaign.
+let campaigns = [];
+let scenes = [];
+
+// Store tokens in memory (persisted through storage)
+let tokens = [];
+let tokenIdCounter = 1;
+
+// Store faction stats in memory (persisted through storage)
+let factionStats = [];
+let factionStatsIdCounter = 1;
+
+// Store move proposals in memory (persisted through storage), closed ones too
+let moveProposals = [];
+let movableFactionsConfig = [];
+
+// Revealed fog of war polygons per scene (persisted through storage)
+let fogRegions = [];
+
+// Regions, labels, markers and drawings on the scene maps (persisted through
+// storage, see lib/annotations.js)
+let annotations = [];
+
+// Named player accounts and their login sessions (persisted through storage).
+// Players without an account can still watch as guests.
+let playerAccounts = [];
+let playerSessions = [];
+
+// Token icon library shared by all campaigns (persisted through storage)
+let iconLibrary = [];
+
+// Every position change of every token, for the movement timeline and replay
+// (persisted through storage). `source` is place, move, proposal, undo or remove.
+let tokenMoves = [];
+
+// What the DM should know happened during play, like tokens crossing regions
+// with rules (persisted through storage). Clients get the latest entries.
+let sessionLog = [];
+const MAX_SESSION_LOG_ENTRIES = 200;
+
+// Chat messages and map events of every campaign (persisted through storage,
+// see lib/chat.js). Clients get them a page at a time.
+let chatMessages = [];
+
+// DM edits with before/after snapshots for undo/redo (see lib/history.js)
+const history = createActionHistory(storage);
+let historyBusy = false;
+
+function campaignRoom(campaignId) {
+  return `campaign:${campaignId}`;
+}
+
+function sceneRoom(sceneId) {
+  return `scene:${sceneId}`;
+}
+
+function getCampaign(campaignId) {
+  return campaigns.find(c => c.id === campaignId);
+}
+
+function getScene(sceneId) {
+  return scenes.find(s => s.id === sceneId);
+}
+
+// Scene the players of a campaign are in unless the DM moved some elsewhere
+function getPlayerSceneId(campaign) {
+  return getScene(campaign.player_scene_id) ? campaign.player_scene_id : getCampaignScenes(campaign.id)[0].id;
+}
+
+function getCampaignScenes(campaignId) {
+  return scenes.filter(s => s.campaign_id === campaignId);
+}
+
+function getSceneTokens(sceneId) {
+  return tokens.filter(t => t.scene_id === sceneId);
+}
+
+// Open proposals of a scene; with `includeClosed` its past ones as well
+function getSceneProposals(sceneId, includeClosed = false) {
+  return moveProposals.filter(p => p.scene_id === sceneId && (includeClosed || isOpenProposal(p)));
+}
+
+function getOpenProposal(proposalId) {
+  return moveProposals.find(p => p.id === proposalId && isOpenProposal(p));
+}
+
+// The proposal waiting for a decision on a token, if any
+function getTokenProposal(tokenId) {
+  return moveProposals.find(p => p.token_id === tokenId && isOpenProposal(p));
+}
+
+function getSceneFogRegions(sceneId) {
+  return fogRegions.filter(r => r.scene_id === sceneId);
+}
+
+// Fog state sent to clients: only the revealed polygons, never what is under the fog
+function getSceneFog(sceneId) {
+  const scene = getScene(sceneId);
+  return {
+    enabled: !!(scene && scene.fog_enabled),
+    regions: getSceneFogRegions(sceneId).map(r => ({ id: r.id, points: r.points }))
+  };
+}
+
+// Whether players may see a token: not hidden by the DM and, when the scene
+// has fog of war, standing in a revealed area
+function isTokenVisibleToPlayers(token) {
+  if (token.visible_to_players === false) return false;
+  const scene = getScene(token.scene_id);
+  if (!scene || !scene.fog_enabled) return true;
+  return isPointRevealed(getSceneFogRegions(token.scene_id), token.x, token.y);
+}
+
+// The one place tokens are filtered for a client: the DM gets the whole
+// token, players a copy without DM-only and hidden fields, or null when they
+// can't see the token at all
+function tokenForClient(clientSocket, token) {
+  if (clientSocket.userRole === 'dm') return token;
+  return isTokenVisibleToPlayers(token) ? toPlayerToken(token) : null;
+}
+
+function tokensForClient(clientSocket, tokenList) {
+  return tokenList.map(token => tokenForClient(clientSocket, token)).filter(Boolean);
+}
+
+// Proposals players may see: the ones for tokens they can see
+function proposalsForClient(client, proposals) {
+  if (client.userRole === 'dm') return proposals;
+  return proposals.filter((proposal) => {
+    const token = tokens.find(t => t.id === proposal.token_id);
+    return token && isTokenVisibleToPlayers(token);
+  });
+}
+
+// Send a proposal to its scene, leaving out players who can't see its token
+function broadcastProposal(event, proposal) {
+  forEachSocketInRoom(sceneRoom(proposal.scene_id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    if (proposalsForClient(clientSocket, [proposal]).length > 0) clientSocket.emit(event, proposal);
+  });
+}
+
+// Tell the scene a token moved. Players get it placed or removed instead when
+// the move takes it out of or into the fog.
+function broadcastTokenMove(token, wasVisibleToPlayers, waypoints = []) {
+  forEachSocketInRoom(sceneRoom(token.scene_id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    const view = tokenForClient(clientSocket, token);
+    if (view && (clientSocket.userRole === 'dm' || wasVisibleToPlayers)) {
+      clientSocket.emit('token:moved', {
+        tokenId: token.id,
+        x: token.x,
+        y: token.y,
+        waypoints: clientSocket.userRole === 'dm' ? waypoints : toPlayerWaypoints(token.scene_id, waypoints)
+      });
+    } else if (view) {
+      clientSocket.emit('token:placed', view);
+    } else if (wasVisibleToPlayers) {
+      clientSocket.emit('token:removed', token.id);
+    }
+  });
+}
+
+// Tell the scene a token's details changed. Players lose the token when it
+// became invisible to them.
+function broadcastTokenUpdate(token) {
+  forEachSocketInRoom(sceneRoom(token.scene_id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    const view = tokenForClient(clientSocket, token);
+    if (view) {
+      clientSocket.emit('token:updated', view);
+    } else {
+      clientSocket.emit('token:removed', token.id);
+    }
+  });
+}
+
+// Re-send fog and what it uncovers after the fog of a scene changes
+function broadcastSceneFog(sceneId) {
+  const fog = getSceneFog(sceneId);
+  const sceneTokens = getSceneTokens(sceneId);
+  const visibleMoves = getPlayerSceneMoves(sceneId);
+  const visibleAnnotations = getSceneAnnotations(sceneId, true);
+  const proposals = getSceneProposals(sceneId);
+  forEachSocketInRoom(sceneRoom(sceneId), (clientSocket) => {
+    clientSocket.emit('fog:load', fog);
+    if (clientSocket.userRole === 'player') {
+      clientSocket.emit('tokens:load', tokensForClient(clientSocket, sceneTokens));
+      clientSocket.emit('move_proposals:load', proposalsForClient(clientSocket, proposals));
+      clientSocket.emit('timeline:load', visibleMoves);
+      clientSocket.emit('annotations:load', visibleAnnotations);
+    }
+  });
+}
+
+// Annotations of a scene; with `forPlayers` only the ones players may see
+function getSceneAnnotations(sceneId, forPlayers = false) {
+  const sceneAnnotations = annotations.filter(a => a.scene_id === sceneId);
+  if (!forPlayers) return sceneAnnotations;
+  const scene = getScene(sceneId);
+  const regions = scene && scene.fog_enabled ? getSceneFogRegions(sceneId) : null;
+  return sceneAnnotations.filter(a => isAnnotationVisibleToPlayers(a, regions));
+}
+
+function broadcastSceneAnnotations(sceneId) {
+  const all = getSceneAnnotations(sceneId);
+  const visible = getSceneAnnotations(sceneId, true);
+  forEachSocketInRoom(sceneRoom(sceneId), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    clientSocket.emit('annotations:load', clientSocket.userRole === 'dm' ? all : visible);
+  });
+}
+
+function getSceneMoves(sceneId) {
+  return tokenMoves.filter(m => m.scene_id === sceneId);
+}
+
+// In-game turn of a campaign; moves are stamped with it
+function getCampaignTurn(campaignId) {
+  const campaign = getCampaign(campaignId);
+  return (campaign && campaign.current_turn) || 1;
+}
+
+// Whether a token has the movement left this turn to get to (x, y) through
+// `waypoints`; see lib/movement.js
+function checkTokenMovement(token, x, y, waypoints = []) {
+  const scene = getScene(token.scene_id);
+  const turn = getCampaignTurn(scene.campaign_id);
+  const turnMoves = tokenMoves.filter(m => m.token_id === token.id && m.turn === turn);
+  return checkMovement(token, scene.map_scale, turnMoves, x, y, waypoints);
+}
+
+// Players learn about a faction from its visible stats or its visible tokens
+function isFactionKnownToPlayers(campaignId, factionName) {
+  const stats = factionStats.find(f => f.campaign_id === campaignId && f.faction_name === factionName);
+  if (stats && stats.is_visible) return true;
+  const sceneIds = getCampaignScenes(campaignId).map(scene => scene.id);
+  return tokens.some(t => t.faction === factionName && sceneIds.includes(t.scene_id) && isTokenVisibleToPlayers(t));
+}
+
+// Turn tracker state sent to clients. Players see unknown factions as "???".
+function getTurnState(campaignId, forPlayers) {
+  const campaign = getCampaign(campaignId);
+  const order = (campaign && campaign.turn_order) || [];
+  const running = isTrackerRunning(campaign);
+  const state = {
+    turn: getCampaignTurn(campaignId),
+    order,
+    running,
+    active_index: running ? campaign.active_turn_index : null,
+    active_faction: getActiveFaction(campaign),
+    end_of_phase: (campaign && campaign.end_of_phase) || 'keep'
+  };
+  if (!forPlayers) return state;
+
+  const mask = name => (name && isFactionKnownToPlayers(campaignId, name) ? name : '???');
+  return {
+    ...state,
+    order: order.map(mask),
+    active_faction: running ? mask(state.active_faction) : null
+  };
+}
+
+function broadcastTurnState(campaignId) {
+  const dmState = getTurnState(campaignId, false);
+  const playerState = getTurnState(campaignId, true);
+  forEachSocketInRoom(campaignRoom(campaignId), (clientSocket) => {
+    clientSocket.emit('turn:updated', clientSocket.userRole === 'dm' ? dmState : playerState);
+  });
+}
+
+async function saveCampaignTurn(campaign) {
+  const { error } = await storage.update('campaigns', { id: campaign.id }, {
+    current_turn: campaign.current_turn,
+    turn_order: campaign.turn_order,
+    active_turn_index: campaign.active_turn_index,
+    end_of_phase: campaign.end_of_phase
+  });
+  if (error) {
+    console.log('❌ Storage campaign update error:', JSON.stringify(error, null, 2));
+  }
+}
+
+// Waypoints of a route players may see: with fog of war, those in revealed areas
+function toPlayerWaypoints(sceneId, waypoints) {
+  const scene = getScene(sceneId);
+  if (!waypoints || !scene || !scene.fog_enabled) return waypoints || [];
+  const regions = getSceneFogRegions(sceneId);
+  return waypoints.filter(point => isPointRevealed(regions, point.x, point.y));
+}
+
+function getCampaignSessionLog(campaignId) {
+  return sessionLog.filter(entry => entry.campaign_id === campaignId).slice(-MAX_SESSION_LOG_ENTRIES);
+}
+
+// Note something in the session log of a scene's campaign and show it to its
+// DMs. `kind` is enter, leave, reveal or control; `alert` asks for the DM's
+// attention.
+async function addSessionLogEntry(scene, kind, message, alert = false) {
+  const entry = {
+    campaign_id: scene.campaign_id,
+    scene_id: scene.id,
+    turn: getCampaignTurn(scene.campaign_id),
+    kind,
+    message,
+    alert,
+    created_at: new Date().toISOString()
+  };
+  const { data, error } = await storage.insert('session_log', [entry]);
+  if (error) {
+    console.log('❌ Storage session log insert error:', JSON.stringify(error, null, 2));
+  }
+  const saved = data ? data[0] : entry;
+  sessionLog.push(saved);
+  broadcastToCampaignDMs(scene.campaign_id, 'session_log:added', saved);
+  console.log('📜', message);
+}
+
+function getCampaignChatPage(campaignId, client, before = null, limit) {
+  return getChatPage(chatMessages.filter(m => m.campaign_id === campaignId), client, before, limit);
+}
+
+// Save a chat message or map event and send it to whoever in the campaign may
+// see it
+async function addChatMessage(campaignId, fields) {
+  const message = {
+    campaign_id: campaignId,
+    author: '',
+    author_role: 'system',
+    player_id: null,
+    to_player_id: null,
+    to_name: null,
+    visible_to_players: true,
+    ...fields,
+    created_at: new Date().toISOString()
+  };
+  const { data, error } = await storage.insert('chat_messages', [message]);
+  if (error) {
+    console.log('❌ Storage chat message insert error:', JSON.stringify(error, null, 2));
+  }
+  const saved = data ? data[0] : message;
+  chatMessages.push(saved);
+
+  forEachSocketInRoom(campaignRoom(campaignId), (clientSocket) => {
+    if (clientSocket.isAuthenticated && canSeeMessage(saved, clientSocket)) {
+      clientSocket.emit('chat:message', saved);
+    }
+  });
+  return saved;
+}
+
+// Note something that happened on the map in the chat's event feed
+function postFeedEvent(campaignId, text, visibleToPlayers) {
+  return addChatMessage(campaignId, { kind: 'event', text, visible_to_players: visibleToPlayers });
+}
+
+// Feed event about a token, for players only when they can see the token
+function postTokenEvent(token, text, visibleToPlayers = isTokenVisibleToPlayers(token)) {
+  return postFeedEvent(getScene(token.scene_id).campaign_id, text, visibleToPlayers);
+}
+
+// Players only hear about HP they could see on the token
+async function postHpEvent(token, previousHp) {
+  if (previousHp === token.current_hp) return;
+  await postTokenEvent(token, `"${token.name}" HP ${previousHp} → ${token.current_hp}`,
+    isTokenVisibleToPlayers(token) && !isFieldHidden(token, 'hp'));
+}
+
+// Feed events for the conditions a token gained or lost
+async function postConditionEvents(token, previousConditions) {
+  const names = (conditions) => (conditions || []).map(condition => condition.name);
+  const gained = names(token.conditions).filter(name => !names(previousConditions).includes(name));
+  const lost = names(previousConditions).filter(name => !names(token.conditions).includes(name));
+  if (gained.length > 0) await postTokenEvent(token, `"${token.name}" is now ${gained.join(', ')}`);
+  if (lost.length > 0) await postTokenEvent(token, `"${token.name}" is no longer ${lost.join(', ')}`);
+}
+
+function describeRegion(region) {
+  return region.name ? `"${region.name}"` : 'an unnamed region';
+}
+
+// Show a hidden token to players. Returns the history change, or null when
+// there was nothing to do; the same goes for the helpers below.
+async function revealTokenByRule(scene, target, region) {
+  if (!target || target.visible_to_players !== false) return null;
+  const before = snapshot(target);
+  target.visible_to_players = true;
+  const { error } = await storage.update('tokens', { id: target.id }, { visible_to_players: true });
+  if (error) {
+    console.log('❌ Storage token update error:', JSON.stringify(error, null, 2));
+  }
+  broadcastTokenUpdate(target);
+  await addSessionLogEntry(scene, 'reveal', `"${target.name}" was revealed in ${describeRegion(region)}`);
+  return { entity: 'token', id: target.id, before, after: snapshot(target) };
+}
+
+// Make a faction's stats visible to players
+async function revealFactionByRule(scene, factionName, region) {
+  const faction = factionStats.find(f => f.campaign_id === scene.campaign_id && f.faction_name === factionName);
+  if (!faction || faction.is_visible) return null;
+  const before = snapshot(faction);
+  faction.is_visible = true;
+  const { error } = await storage.update('faction_stats', { id: faction.id }, { is_visible: true });
+  if (error) {
+    console.log('❌ Storage faction update error:', JSON.stringify(error, null, 2));
+  }
+  broadcastFactionStats(faction);
+  broadcastTurnState(scene.campaign_id);
+  await addSessionLogEntry(scene, 'reveal', `${factionName} was revealed in ${describeRegion(region)}`);
+  return { entity: 'faction', id: faction.id, before, after: snapshot(faction) };
+}
+
+// Hand a region with automatic control to the faction holding it alone
+async function updateRegionControl(scene, region) {
+  const owner = getControllingFaction(region, getSceneTokens(scene.id));
+  if (!owner || owner === region.faction) return null;
+  const before = snapshot(region);
+  const previous = region.faction;
+  region.faction = owner;
+  const { error } = await storage.update('annotations', { id: region.id }, { faction: owner });
+  if (error) {
+    console.log('❌ Storage annotation update error:', JSON.stringify(error, null, 2));
+  }
+  broadcastSceneAnnotations(scene.id);
+  await addSessionLogEntry(scene, 'control', previous
+    ? `${owner} took ${describeRegion(region)} from ${previous}`
+    : `${owner} took ${describeRegion(region)}`);
+  return { entity: 'annotation', id: region.id, before, after: snapshot(region) };
+}
+
+// Settle control of the regions with automatic control a token stands in,
+// after it was placed there or removed. Returns the history changes.
+async function updateRegionControlAt(token) {
+  const scene = getScene(token.scene_id);
+  if (!scene) return [];
+  const regions = getSceneAnnotations(token.scene_id)
+    .filter(annotation => hasRegionRules(annotation) && annotation.auto_control && isInRegion(annotation, token));
+  const changes = [];
+  for (const region of regions) {
+    changes.push(await updateRegionControl(scene, region));
+  }
+  return changes.filter(Boolean);
+}
+
+// React to a token's move from `from` along `waypoints` (see lib/regions.js):
+// log the regions with rules it entered or left, fire their triggers and
+// settle who controls them. Returns the history changes of what the rules
+// changed, so undoing the move undoes them too; the session log keeps its
+// entries.
+async function applyRegionRules(token, from, waypoints = []) {
+  const scene = getScene(token.scene_id);
+  const regions = getSceneAnnotations(token.scene_id).filter(hasRegionRules);
+  if (!scene || regions.length === 0) return [];
+
+  const changes = [];
+  const crossings = getRegionCrossings(regions, [from, ...waypoints, token]);
+  for (const { region, event } of crossings) {
+    const triggers = getMatchingTriggers(region, event, token);
+    const alert = triggers.some(trigger => trigger.action === 'notify');
+    await addSessionLogEntry(scene, event, `"${token.name}" ${event === 'enter' ? 'entered' : 'left'} ${describeRegion(region)}`, alert);
+
+    for (const trigger of triggers) {
+      if (trigger.action === 'reveal_token') {
+        const target = trigger.token_id ? tokens.find(t => t.id === trigger.token_id && t.scene_id === scene.id) : token;
+        changes.push(await revealTokenByRule(scene, target, region));
+      } else if (trigger.action === 'reveal_faction') {
+        changes.push(await revealFactionByRule(scene, trigger.target_faction || token.faction, region));
+      }
+    }
+  }
+
+  for (const region of new Set(crossings.map(crossing => crossing.region))) {
+    if (region.auto_control) changes.push(await updateRegionControl(scene, region));
+  }
+  return changes.filter(Boolean);
+}
+
+// Players only see the history of tokens they can see, and only the parts of
+// it that happened in revealed areas
+function toPlayerMove(move) {
+  const token = tokens.find(t => t.id === move.token_id);
+  if (!token || !isTokenVisibleToPlayers(token)) return null;
+
+  const scene = getScene(move.scene_id);
+  if (!scene || !scene.fog_enabled) return move;
+  const regions = getSceneFogRegions(move.scene_id);
+  if (!isPointRevealed(regions, move.x, move.y)) return null;
+  const waypoints = toPlayerWaypoints(move.scene_id, move.waypoints);
+  if (move.from_x === null || isPointRevealed(regions, move.from_x, move.from_y)) return { ...move, waypoints };
+  return { ...move, from_x: null, from_y: null, waypoints: [] };
+}
+
+function getPlayerSceneMoves(sceneId) {
+  return getSceneMoves(sceneId).map(toPlayerMove).filter(Boolean);
+}
+
+// Add a token's position change to the timeline. `from` is where it was
+// before (null when it was just placed); `waypoints` the route it took.
+async function recordTokenMove(token, from, source, waypoints = []) {
+  const move = {
+    scene_id: token.scene_id,
+    token_id: token.id,
+    token_name: token.name,
+    color: token.color,
+    from_x: from ? from.x : null,
+    from_y: from ? from.y : null,
+    x: token.x,
+    y: token.y,
+    waypoints,
+    turn: getCampaignTurn(getScene(token.scene_id).campaign_id),
+    source,
+    created_at: new Date().toISOString()
+  };
+  const { data, error } = await storage.insert('token_moves', [move]);
+  if (error) {
+    console.log('❌ Storage token move insert error:', JSON.stringify(error, null, 2));
+  }
+  const saved = data ? data[0] : move;
+  tokenMoves.push(saved);
+
+  forEachSocketInRoom(sceneRoom(token.scene_id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    const visibleMove = clientSocket.userRole === 'dm' ? saved : toPlayerMove(saved);
+    if (visibleMove) clientSocket.emit('timeline:moved', visibleMove);
+  });
+}
+
+function getCampaignFactionStats(campaignId) {
+  return factionStats.filter(f => f.campaign_id === campaignId);
+}
+
+function getCampaignMovableFactions(campaignId) {
+  return movableFactionsConfig.filter(c => c.campaign_id === campaignId);
+}
+
+// Call back for every connected socket in a Socket.IO room
+function forEachSocketInRoom(room, callback) {
+  const socketIds = io.sockets.adapter.rooms.get(room);
+  if (!socketIds) return;
+  socketIds.forEach((socketId) => {
+    const clientSocket = io.sockets.sockets.get(socketId);
+    if (clientSocket) callback(clientSocket);
+  });
+}
+
+// Players currently connected to a campaign and the scene each one is in
+function getCampaignPlayers(campaignId) {
+  const players = [];
+  forEachSocketInRoom(campaignRoom(campaignId), (clientSocket) => {
+    if (clientSocket.userRole === 'player') {
+      players.push({
+        id: clientSocket.id,
+        scene_id: clientSocket.sceneId,
+        player_id: clientSocket.playerId,
+        name: clientSocket.playerName || 'Guest'
+      });
+    }
+  });
+  return players;
+}
+
+function getPlayerAccount(playerId) {
+  return playerAccounts.find(p => p.id === playerId);
+}
+
+// What other clients may know about a player
+function toPublicPlayer(player) {
+  return { id: player.id, name: player.name };
+}
+
+// The DM also sees pending invite codes (never password hashes)
+function toDMPlayerAccount(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    invite_code: player.invite_code || null,
+    claimed: !!player.password_hash,
+    created_at: player.created_at
+  };
+}
+
+function broadcastPlayerAccounts() {
+  const accounts = playerAccounts.map(toDMPlayerAccount);
+  io.sockets.sockets.forEach((clientSocket) => {
+    if (clientSocket.isAuthenticated && clientSocket.userRole === 'dm') {
+      clientSocket.emit('player_accounts:load', accounts);
+    }
+  });
+}
+
+function toClientIcon(icon) {
+  return { id: icon.id, name: icon.name, url: getIconUrl(icon.filename) };
+}
+
+function broadcastIconLibrary() {
+  const icons = iconLibrary.map(toClientIcon);
+  io.sockets.sockets.forEach((clientSocket) => {
+    if (clientSocket.isAuthenticated && clientSocket.userRole === 'dm') {
+      clientSocket.emit('icons:load', icons);
+    }
+  });
+}
+
+// Tokens may only use icons from the library
+function isLibraryIconUrl(url) {
+  return typeof url === 'string' && iconLibrary.some(icon => getIconUrl(icon.filename) === url);
+}
+
+async function createPlayerSession(player) {
+  const sessionToken = generateSessionToken();
+  const session = {
+    player_id: player.id,
+    token_hash: hashSessionToken(sessionToken),
+    created_at: new Date().toISOString()
+  };
+  const { data, error } = await storage.insert('player_sessions', [session]);
+  if (error) {
+    console.log('❌ Storage session insert error:', JSON.stringify(error, null, 2));
+  }
+  playerSessions.push(data ? data[0] : session);
+  return sessionToken;
+}
+
+// Resolve a player login: a saved session token, name and password, or an
+// invite code plus a new password. No credentials means a guest.
+// Returns { player, sessionToken } or { error }.
+async function authenticatePlayer(data) {
+  if (data.sessionToken) {
+    const tokenHash = hashSessionToken(data.sessionToken);
+    const session = playerSessions.find(s => s.token_hash === tokenHash);
+    const player = session && getPlayerAccount(session.player_id);
+    if (!player) return { error: 'Your session has expired, please log in again' };
+    return { player };
+  }
+
+  if (data.inviteCode) {
+    const inviteCode = normalizeInviteCode(data.inviteCode);
+    const player = playerAccounts.find(p => p.invite_code && p.invite_code === inviteCode);
+    if (!player) return { error: 'Unknown invite code' };
+    if (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Choose a password of at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    const passwordHash = await hashPassword(data.password);
+    const { error } = await storage.update('players', { id: player.id }, { password_hash: passwordHash, invite_code: null });
+    if (error) {
+      console.log('❌ Storage player update error:', JSON.stringify(error, null, 2));
+      return { error: 'Could not save your account' };
+    }
+    player.password_hash = passwordHash;
+    player.invite_code = null;
+    broadcastPlayerAccounts();
+    return { player, sessionToken: await createPlayerSession(player) };
+  }
+
+  if (data.name) {
+    const name = String(data.name).trim().toLowerCase();
+    const player = playerAccounts.find(p => p.name.toLowerCase() === name);
+    if (!player || !(await verifyPassword(data.password, player.password_hash))) {
+      return { error: 'Invalid name or password' };
+    }
+    return { player, sessionToken: await createPlayerSession(player) };
+  }
+
+  return { player: null };
+}
+
+// Log every connection of a player out (account reset or deleted)
+async function endPlayerSessions(playerId, message) {
+  await storage.delete('player_sessions', { player_id: playerId });
+  playerSessions = playerSessions.filter(s => s.player_id !== playerId);
+
+  io.sockets.sockets.forEach((clientSocket) => {
+    if (clientSocket.playerId === playerId) {
+      clientSocket.playerId = null;
+      clientSocket.playerName = null;
+      clientSocket.emit('session:ended', { message });
+      if (clientSocket.campaignId) broadcastPlayerList(clientSocket.campaignId);
+    }
+  });
+}
+
+// Players may propose moves for their own tokens and for tokens of factions
+// the DM made movable - while the turn tracker runs, only in their faction's phase
+function canPlayerMoveToken(socket, token) {
+  if (!isFactionsPhase(getCampaign(socket.campaignId), token.faction)) return false;
+  if (token.owner_player_id && token.owner_player_id === socket.playerId) return true;
+  return getCampaignMovableFactions(socket.campaignId).some(config =>
+    config.faction_name === token.faction && config.is_movable
+  );
+}
+
+function broadcastPlayerList(campaignId) {
+  const players = getCampaignPlayers(campaignId);
+  forEachSocketInRoom(campaignRoom(campaignId), (clientSocket) => {
+    if (clientSocket.userRole === 'dm') {
+      clientSocket.emit('players:load', players);
+    }
+  });
+}
+
+function broadcastToCampaignDMs(campaignId, event, payload) {
+  forEachSocketInRoom(campaignRoom(campaignId), (clientSocket) => {
+    if (clientSocket.userRole === 'dm') {
+      clientSocket.emit(event, payload);
+    }
+  });
+}
+
+// Tell the campaign a faction's stats changed (players only see visible factions)
+function broadcastFactionStats(faction) {
+  forEachSocketInRoom(campaignRoom(faction.campaign_id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    if (clientSocket.userRole === 'dm' || faction.is_visible) {
+      clientSocket.emit('faction_stats:updated', faction);
+    } else {
+      clientSocket.emit('faction_stats:deleted', faction.faction_name);
+    }
+  });
+}
+
+function broadcastHistory(campaignId) {
+  broadcastToCampaignDMs(campaignId, 'history:updated', history.summary(campaignId));
+}
+
+// Add a DM action to the campaign's history
+async function recordAction(socket, action, label, changes) {
+  const { error } = await history.record({
+    campaign_id: socket.campaignId,
+    scene_id: socket.sceneId,
+    action,
+    label,
+    changes
+  });
+  if (error) {
+    console.log('❌ Storage history insert error:', JSON.stringify(error, null, 2));
+  }
+  broadcastHistory(socket.campaignId);
+}
+
+// Put a token back the way a snapshot describes it (null = removed)
+async function restoreToken(tokenId, state) {
+  const index = tokens.findIndex(t => t.id === tokenId);
+  const current = index !== -1 ? tokens[index] : null;
+
+  if (!state) {
+    if (!current) return;
+    await recordTokenMove(current, current, 'remove');
+    tokens.splice(index, 1);
+    await storage.delete('tokens', { id: tokenId });
+    io.to(sceneRoom(current.scene_id)).emit('token:removed', tokenId);
+    return;
+  }
+
+  const token = snapshot(state);
+  if (current) {
+    tokens[index] = token;
+    const { id, ...changes } = token;
+    await storage.update('tokens', { id: tokenId }, changes);
+    if (current.x !== token.x || current.y !== token.y) {
+      await recordTokenMove(token, current, 'undo');
+    }
+  } else {
+    tokens.push(token);
+    tokenIdCounter = Math.max(tokenIdCounter, token.id + 1);
+    await storage.insert('tokens', [token]);
+    await recordTokenMove(token, null, 'undo');
+  }
+  // Clients add tokens they don't have yet on token:updated
+  broadcastTokenUpdate(token);
+}
+
+// Put a faction's stats back the way a snapshot describes it (null = deleted)
+async function restoreFaction(factionId, state) {
+  const index = factionStats.findIndex(f => f.id === factionId);
+  const current = index !== -1 ? factionStats[index] : null;
+
+  if (!state) {
+    if (!current) return;
+    factionStats.splice(index, 1);
+    await storage.delete('faction_stats', { id: factionId });
+    io.to(campaignRoom(current.campaign_id)).emit('faction_stats:deleted', current.faction_name);
+    return;
+  }
+
+  const faction = snapshot(state);
+  if (current) {
+    factionStats[index] = faction;
+    const { id, ...changes } = faction;
+    await storage.update('faction_stats', { id: factionId }, changes);
+  } else {
+    factionStats.push(faction);
+    factionStatsIdCounter = Math.max(factionStatsIdCounter, faction.id + 1);
+    await storage.insert('faction_stats', [faction]);
+  }
+  broadcastFactionStats(faction);
+}
+
+// Put a move proposal back the way a snapshot describes it (null = removed).
+// A token has at most one open proposal, so a newer one is replaced.
+async function restoreProposal(proposalId, state) {
+  const removed = moveProposals.filter(p => p.id === proposalId ||
+    (state && isOpenProposal(state) && isOpenProposal(p) && p.token_id === state.token_id));
+  for (const proposal of removed) {
+    await storage.delete('move_proposals', { id: proposal.id });
+    io.to(sceneRoom(proposal.scene_id)).emit('move_proposal:rejected', proposal.id);
+  }
+  moveProposals = moveProposals.filter(p => !removed.includes(p));
+
+  if (state) {
+    const proposal = snapshot(state);
+    moveProposals.push(proposal);
+    await storage.insert('move_proposals', [proposal]);
+    if (isOpenProposal(proposal)) broadcastProposal('move_proposal:created', proposal);
+  }
+}
+
+// Put an annotation back the way a snapshot describes it (null = deleted)
+async function restoreAnnotation(annotationId, state) {
+  const index = annotations.findIndex(a => a.id === annotationId);
+  const current = index !== -1 ? annotations[index] : null;
+
+  if (!state) {
+    if (!current) return;
+    annotations.splice(index, 1);
+    await storage.delete('annotations', { id: annotationId });
+    broadcastSceneAnnotations(current.scene_id);
+    return;
+  }
+
+  const annotation = snapshot(state);
+  if (current) {
+    annotations[index] = annotation;
+    const { id, ...changes } = annotation;
+    await storage.update('annotations', { id: annotationId }, changes);
+  } else {
+    annotations.push(annotation);
+    await storage.insert('annotations', [annotation]);
+  }
+  broadcastSceneAnnotations(annotation.scene_id);
+}
+
+// Put a revealed area back or cover it again (null). Areas never change, so
+// one that is there already stays as it is.
+async function restoreFogRegion(regionId, state) {
+  const current = fogRegions.find(r => r.id === regionId);
+
+  if (!state) {
+    if (!current) return;
+    fogRegions = fogRegions.filter(r => r.id !== regionId);
+    await storage.delete('fog_regions', { id: regionId });
+    broadcastSceneFog(current.scene_id);
+    return;
+  }
+
+  if (current) return;
+  const region = snapshot(state);
+  fogRegions.push(region);
+  await storage.insert('fog_regions', [region]);
+  broadcastSceneFog(region.scene_id);
+}
+
+const RESTORERS = {
+  token: restoreToken,
+  faction: restoreFaction,
+  proposal: restoreProposal,
+  annotation: restoreAnnotation,
+  fog_region: restoreFogRegion
+};
+
+// Undo (apply the "before" snapshots, last change first) or redo (apply the
+// "after" snapshots) the next action in a campaign's history
+async function replayHistory(campaignId, direction) {
+  const entry = direction === 'undo' ? history.nextUndo(campaignId) : history.nextRedo(campaignId);
+  if (!entry) return null;
+
+  const changes = direction === 'undo' ? entry.changes.slice().reverse() : entry.changes;
+  for (const change of changes) {
+    await RESTORERS[change.entity](change.id, direction === 'undo' ? change.before : change.after);
+  }
+
+  const { error } = await history.setUndone(entry, direction === 'undo');
+  if (error) {
+    console.log('❌ Storage history update error:', JSON.stringify(error, null, 2));
+  }
+  broadcastHistory(campaignId);
+  return entry;
+}
+
+// Store changed fields of a proposal and send it to its scene
+async function saveProposal(proposal, changes) {
+  const { error } = await storage.update('move_proposals', { id: proposal.id }, changes);
+  if (error) {
+    console.log('❌ Storage move proposal update error:', JSON.stringify(error, null, 2));
+  }
+  broadcastProposal('move_proposal:updated', proposal);
+}
+
+// Reject or cancel an open proposal; `note` goes to its thread as the reason
+async function closeProposal(actor, proposal, status, note = '') {
+  const changes = setProposalStatus(proposal, status, actor);
+  if (note) Object.assign(changes, addProposalComment(proposal, actor, note));
+  await saveProposal(proposal, changes);
+  io.to(sceneRoom(proposal.scene_id)).emit('move_proposal:rejected', proposal.id);
+
+  const token = tokens.find(t => t.id === proposal.token_id);
+  if (status === 'rejected' && token) {
+    await postTokenEvent(token, `${proposal.proposed_by_name || 'A player'}'s proposal to move "${token.name}" was rejected`);
+  }
+}
+
+// Move a proposal's token to where it was proposed and close the proposal
+async function approveProposal(socket, proposal) {
+  const changes = [];
+
+  // Move the actual token
+  const token = tokens.find(t => t.id === proposal.token_id);
+  if (token) {
+    const before = snapshot(token);
+    const wasVisibleToPlayers = isTokenVisibleToPlayers(token);
+    token.x = proposal.proposed_x;
+    token.y = proposal.proposed_y;
+
+    // Update in storage
+    await storage.update('tokens', { id: token.id }, { x: token.x, y: token.y });
+    changes.push({ entity: 'token', id: token.id, before, after: snapshot(token) });
+    const waypoints = proposal.waypoints || [];
+    await recordTokenMove(token, before, 'proposal', waypoints);
+
+    // Broadcast token movement
+    broadcastTokenMove(token, wasVisibleToPlayers, waypoints);
+    await postTokenEvent(token, `"${token.name}" moved: ${proposal.proposed_by_name || 'a player'}'s proposal was approved`,
+      wasVisibleToPlayers || isTokenVisibleToPlayers(token));
+    changes.push(...await applyRegionRules(token, before, waypoints));
+  }
+
+  const before = snapshot(proposal);
+  await saveProposal(proposal, setProposalStatus(proposal, 'approved', socket));
+  changes.push({ entity: 'proposal', id: proposal.id, before, after: snapshot(proposal) });
+
+  await recordAction(socket, 'move_proposal:approve', `Approve move of "${token ? token.name : 'token'}"`, changes);
+
+  // Broadcast proposal removal
+  io.to(sceneRoom(proposal.scene_id)).emit('move_proposal:approved', proposal.id);
+  console.log('✅ Move proposal approved and executed:', proposal.id);
+}
+
+// Clear or approve the pending proposals of a campaign when a phase ends.
+// With the tracker running only the ending faction's proposals are affected.
+async function settlePhaseProposals(socket, campaign, endingFaction) {
+  if (campaign.end_of_phase !== 'clear' && campaign.end_of_phase !== 'approve') return;
+
+  const sceneIds = getCampaignScenes(campaign.id).map(scene => scene.id);
+  const pending = moveProposals.filter((proposal) => {
+    if (!sceneIds.includes(proposal.scene_id) || !isOpenProposal(proposal)) return false;
+    if (!endingFaction) return true;
+    const token = tokens.find(t => t.id === proposal.token_id);
+    return !!token && token.faction === endingFaction;
+  });
+
+  for (const proposal of pending) {
+    if (campaign.end_of_phase === 'approve') {
+      await approveProposal(socket, proposal);
+    } else {
+      await closeProposal(socket, proposal, 'rejected', 'Cleared at the end of the phase');
+    }
+  }
+  if (pending.length > 0) {
+    console.log(`✅ ${campaign.end_of_phase === 'approve' ? 'Approved' : 'Cleared'} ${pending.length} proposals at end of phase`);
+  }
+}
+
+// Count down the timed conditions on the campaign's tokens once a phase
+// ended (see lib/conditions.js) and drop the ones that wore off. The DM can
+// undo the countdown like any other change, so undoing older actions never
+// brings back conditions that are gone.
+async function expireConditions(actor, campaign, phase) {
+  const sceneIds = getCampaignScenes(campaign.id).map(scene => scene.id);
+  const timedTokens = tokens.filter(t => sceneIds.includes(t.scene_id) && hasTimedConditions(t));
+  const changes = [];
+
+  for (const token of timedTokens) {
+    const before = snapshot(token);
+    const { conditions, expired } = tickConditions(token, phase);
+    token.conditions = conditions;
+    changes.push({ entity: 'token', id: token.id, before, after: snapshot(token) });
+
+    const { error } = await storage.update('tokens', { id: token.id }, { conditions });
+    if (error) {
+      console.log('Storage update error:', error);
+    }
+    broadcastTokenUpdate(token);
+    if (expired.length > 0) {
+      console.log(`⏳ "${token.name}" is no longer ${expired.join(', ')}`);
+      await postConditionEvents(token, before.conditions);
+    }
+  }
+  if (changes.length > 0) {
+    await recordAction(actor, 'conditions:expire', `Count down conditions on turn ${campaign.current_turn}`, changes);
+  }
+}
+
+// Campaign-wide state: faction stats, movable factions and (for the DM) the
+// campaign/scene lists
+function sendCampaignState(socket) {
+  const campaignFactions = getCampaignFactionStats(socket.campaignId);
+  const factionStatsToSend = socket.userRole === 'dm' ? campaignFactions : campaignFactions.filter(f => f.is_visible === true);
+  console.log(`Initial load: Sending ${factionStatsToSend.length}/${campaignFactions.length} faction stats to ${socket.userRole} ${socket.id}`);
+  socket.emit('faction_stats:load', factionStatsToSend);
+  socket.emit('movable_factions:load', getCampaignMovableFactions(socket.campaignId));
+  socket.emit('turn:updated', getTurnState(socket.campaignId, socket.userRole !== 'dm'));
+  socket.emit('chat:load', getCampaignChatPage(socket.campaignId, socket));
+
+  if (socket.userRole === 'dm') {
+    socket.emit('campaigns:load', { campaigns, currentCampaignId: socket.campaignId });
+    socket.emit('player_accounts:load', playerAccounts.map(toDMPlayerAccount));
+    socket.emit('icons:load', iconLibrary.map(toClientIcon));
+    socket.emit('scenes:load', getCampaignScenes(socket.campaignId));
+    socket.emit('players:load', getCampaignPlayers(socket.campaignId));
+    socket.emit('history:updated', history.summary(socket.campaignId));
+    socket.emit('session_log:load', getCampaignSessionLog(socket.campaignId));
+  }
+}
+
+// Scene state: tokens (filtered for players), map metadata, fog, annotations
+// and proposals
+function sendSceneState(socket) {
+  const sceneTokens = getSceneTokens(socket.sceneId);
+  const tokensToSend = tokensForClient(socket, sceneTokens);
+  console.log(`Initial load: Sending ${tokensToSend.length}/${sceneTokens.length} tokens to ${socket.userRole} ${socket.id}`);
+  socket.emit('tokens:load', tokensToSend);
+
+  // Send map metadata so the client can pick tiles or the fallback image
+  socket.emit('map:info', getMapInfo(getScene(socket.sceneId).map_image));
+  socket.emit('fog:load', getSceneFog(socket.sceneId));
+  socket.emit('annotations:load', getSceneAnnotations(socket.sceneId, socket.userRole !== 'dm'));
+  socket.emit('map:scale', getScene(socket.sceneId).map_scale || null);
+  socket.emit('move_proposals:load', proposalsForClient(socket, getSceneProposals(socket.sceneId)));
+  socket.emit('timeline:load', socket.userRole === 'dm' ? getSceneMoves(socket.sceneId) : getPlayerSceneMoves(socket.sceneId));
+}
+
+// Move a socket into a scene room and send it that scene
+function joinScene(socket, sceneId) {
+  const scene = getScene(sceneId);
+  if (!scene) return;
+
+  if (socket.sceneId) socket.leave(sceneRoom(socket.sceneId));
+  socket.sceneId = scene.id;
+  socket.join(sceneRoom(scene.id));
+  console.log(`🗺️ ${socket.userRole} ${socket.id} joined scene ${scene.id} (${scene.name})`);
+
+  socket.emit('scene:joined', scene);
+  sendSceneState(socket);
+  broadcastPlayerList(scene.campaign_id);
+}
+
+// Move a socket into a campaign (falls back to the first campaign) and into
+// the scene players are currently in
+function joinCampaign(socket, campaignId) {
+  const campaign = getCampaign(campaignId) || campaigns[0];
+  if (!campaign) return;
+
+  const previousCampaignId = socket.campaignId;
+  if (previousCampaignId) socket.leave(campaignRoom(previousCampaignId));
+  socket.campaignId = campaign.id;
+  socket.join(campaignRoom(campaign.id));
+
+  sendCampaignState(socket);
+  joinScene(socket, getPlayerSceneId(campaign));
+
+  if (previousCampaignId && previousCampaignId !== campaign.id) {
+    broadcastPlayerList(previousCampaignId);
+  }
+}
+
+// The client event being handled ({ id, event }); follows the handler
+// through its awaits so errors can name the request they belong to
+const requestContext = new AsyncLocalStorage();
+
+// Tell a client a request failed. `code` says why: invalid_payload,
+// rate_limited, unknown_event, or request_failed for whatever a handler
+// refuses. The request id also appears in the server log.
+function sendError(socket, message, code = 'request_failed', details = {}) {
+  const request = requestContext.getStore() || {};
+  socket.emit('error', {
+    message,
+    code,
+    event: request.event || null,
+    request_id: request.id || null,
+    ...details
+  });
+}
+
+// Map size of a scene once its image has been read; null until then
+function getSceneMapSize(sceneId) {
+  const scene = getScene(sceneId);
+  const info = scene && mapInfos.get(scene.map_image);
+  return info && info.width ? { width: info.width, height: info.height } : null;
+}
+
+// Rate limit and validate a client event against lib/events.js. Returns the
+// cleaned payload, or an error to send back instead of running the handler.
+function checkClientEvent(socket, event, payload) {
+  if (!socket.rateLimiter.take(EVENT_COSTS[event] || 1)) {
+    return { data: null, error: { code: 'rate_limited', message: 'Too many requests, please slow down' } };
+  }
+  if (!(event in EVENT_SCHEMAS)) {
+    return { data: null, error: { code: 'unknown_event', message: `Unknown event "${event}"` } };
+  }
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return { data: undefined, error: null };
+
+  const { data, error } = validate(schema, payload, { mapSize: getSceneMapSize(socket.sceneId) });
+  if (error) {
+    return { data: null, error: { code: 'invalid_payload', message: `Invalid ${event}: ${error.message}`, field: error.field } };
+  }
+  return { data, error: null };
+}
+
+// Campaign actions shared by the Socket.IO handlers and the REST API. Each
+// takes the acting client - a socket, or an API caller with the same
+// campaignId/sceneId/userRole/playerId fields - checks the request, saves it,
+// broadcasts it and returns { data, error }. Errors carry an HTTP status for
+// the API; sockets just get the message. Permission checks (DM only, players
+// only) stay with the callers.
+function actionError(status, message, code) {
+  return { data: null, error: { status, message, code } };
+}
+
+async function placeToken(actor, data) {
+  const token = {
+    id: tokenIdCounter++,
+    scene_id: actor.sceneId,
+    x: data.x,
+    y: data.y,
+    name: data.name || `Token ${tokenIdCounter - 1}`,
+    faction: data.faction || '',
+    hp: data.hp || 0,
+    max_hp: data.max_hp || data.hp || 0,
+    current_hp: data.current_hp || data.hp || 0,
+    attack: data.attack || '0',
+    counterattack: data.counterattack || '0',
+    special: data.special || '',
+    notes: data.notes || '',
+    dm_notes: data.dm_notes || '',
+    hidden_fields: normalizeHiddenFields(data.hidden_fields),
+    color: data.color || '#FF0000',
+    owner_player_id: getPlayerAccount(data.owner_player_id) ? data.owner_player_id : null,
+    icon_url: isLibraryIconUrl(data.icon_url) ? data.icon_url : null,
+    visible_to_players: data.visible_to_players !== false, // Default to true
+    movement: typeof data.movement === 'number' ? data.movement : null, // Per turn; null is unlimited
+    owner_moves: OWNER_MOVE_MODES.includes(data.owner_moves) ? data.owner_moves : 'proposal',
+    conditions: normalizeConditions(data.conditions),
+    timestamp: new Date().toISOString()
+  };
+  
+  tokens.push(token);
+  
+  // Save to storage
+  const { error } = await storage.insert('tokens', [token]);
+  if (error) {
+    console.log('Storage insert error:', error);
+    console.log('Token data:', JSON.stringify(token, null, 2));
+  } else {
+    console.log('✅ Token saved to database:', token.name);
+  }
+  const controlChanges = await updateRegionControlAt(token);
+  await recordAction(actor, 'token:place', `Place "${token.name}"`, [
+    { entity: 'token', id: token.id, before: null, after: snapshot(token) },
+    ...controlChanges
+  ]);
+  await recordTokenMove(token, null, 'place');
+  
+  // Broadcast to everyone in the scene (filter for player clients)
+  forEachSocketInRoom(sceneRoom(token.scene_id), (clientSocket) => {
+    const view = clientSocket.isAuthenticated && tokenForClient(clientSocket, token);
+    if (view) {
+      clientSocket.emit('token:placed', view);
+    }
+  });
+  return { data: token, error: null };
+}
+
+// `waypoints` is the route the token takes to (x, y), if any
+async function moveToken(actor, tokenId, x, y, waypoints = []) {
+  const token = tokens.find(t => t.id === tokenId);
+  if (!token) return actionError(404, 'Token not found');
+
+  const before = snapshot(token);
+  const wasVisibleToPlayers = isTokenVisibleToPlayers(token);
+  token.x = x;
+  token.y = y;
+  
+  // Update in storage
+  const { error } = await storage.update('tokens', { id: tokenId }, { x, y });
+  if (error) {
+    console.log('Storage error:', error.message);
+  }
+  const moved = { entity: 'token', id: before.id, before, after: snapshot(token) };
+  await recordTokenMove(token, before, 'move', waypoints);
+  
+  // Broadcast to everyone in the scene (filter for player clients)
+  broadcastTokenMove(token, wasVisibleToPlayers, waypoints);
+  await postTokenEvent(token, `"${token.name}" moved`, wasVisibleToPlayers || isTokenVisibleToPlayers(token));
+  const ruleChanges = await applyRegionRules(token, before, waypoints);
+  await recordAction(actor, 'token:move', `Move "${before.name}"`, [moved, ...ruleChanges]);
+  return { data: token, error: null };
+}
+
+// Change a token's details. Position and scene are not editable here; moves
+// go through moveToken so they show up on the timeline.
+async function updateToken(actor, updatedData) {
+  const tokenIndex = tokens.findIndex(t => t.id === updatedData.id);
+  if (tokenIndex === -1) return actionError(404, 'Token not found');
+
+  const { id, scene_id, x, y, ...changes } = updatedData;
+  if ('owner_player_id' in changes && !getPlayerAccount(changes.owner_player_id)) {
+    changes.owner_player_id = null;
+  }
+  if ('icon_url' in changes && !isLibraryIconUrl(changes.icon_url)) {
+    changes.icon_url = null;
+  }
+  if ('hidden_fields' in changes) {
+    changes.hidden_fields = normalizeHiddenFields(changes.hidden_fields);
+  }
+  if ('conditions' in changes) {
+    changes.conditions = normalizeConditions(changes.conditions);
+  }
+  
+  // Update local token
+  const before = snapshot(tokens[tokenIndex]);
+  const token = tokens[tokenIndex] = { ...tokens[tokenIndex], ...changes };
+  
+  // Update in storage
+  const { error } = await storage.update('tokens', { id: token.id }, {
+    name: token.name,
+    faction: token.faction,
+    current_hp: token.current_hp,
+    max_hp: token.max_hp,
+    attack: token.attack,
+    counterattack: token.counterattack,
+    special: token.special,
+    notes: token.notes,
+    dm_notes: token.dm_notes || '',
+    hidden_fields: token.hidden_fields || [],
+    color: token.color,
+    owner_player_id: token.owner_player_id || null,
+    icon_url: token.icon_url || null,
+    visible_to_players: token.visible_to_players,
+    movement: typeof token.movement === 'number' ? token.movement : null,
+    owner_moves: token.owner_moves || 'proposal',
+    conditions: token.conditions || []
+  });
+    
+  if (error) {
+    console.log('Storage update error:', error);
+  } else {
+    console.log('✅ Token updated in database:', token.name);
+  }
+  await recordAction(actor, 'token:update', `Edit "${before.name}"`, [
+    { entity: 'token', id: before.id, before, after: snapshot(token) }
+  ]);
+  
+  // Broadcast to everyone in the scene (filter for player clients)
+  broadcastTokenUpdate(token);
+  await postHpEvent(token, before.current_hp);
+  await postConditionEvents(token, before.conditions);
+  return { data: token, error: null };
+}
+
+// A token of the player's scene they may see, or null
+function getPlayerSceneToken(actor, tokenId) {
+  const token = tokens.find(t => t.id === tokenId);
+  return token && token.scene_id === actor.sceneId && isTokenVisibleToPlayers(token) ? token : null;
+}
+
+// A player changes the fields they may on a token they own (see lib/ownership.js)
+async function updateOwnToken(actor, { id, ...changes }) {
+  const token = getPlayerSceneToken(actor, id);
+  if (!token) return actionError(404, 'Token not found in this scene');
+  const { data, error } = checkOwnerChanges(actor, token, changes);
+  if (error) return actionError(403, error);
+  return updateToken(actor, { ...data, id });
+}
+
+// A player moves a token they own that doesn't need the DM's approval
+async function moveOwnToken(actor, tokenId, x, y, waypoints) {
+  const token = getPlayerSceneToken(actor, tokenId);
+  if (!token) return actionError(404, 'Token not found in this scene');
+  if (!canOwnerMoveFreely(actor, token)) {
+    return actionError(403, isTokenOwner(actor, token) ? 'Propose a move for this token instead' : 'You can\'t move this token');
+  }
+  if (!canPlayerMoveToken(actor, token)) return actionError(403, `It is not ${token.faction || 'this token'}'s turn`);
+  const route = normalizeWaypoints(waypoints);
+  const { error: movementError } = checkTokenMovement(token, x, y, route);
+  if (movementError) return actionError(400, movementError, 'movement_exceeded');
+
+  // A move the player asked the DM for is moot now
+  const existingProposal = getTokenProposal(token.id);
+  if (existingProposal) await closeProposal(actor, existingProposal, 'cancelled');
+  return moveToken(actor, token.id, x, y, route);
+}
+
+async function removeToken(actor, tokenId) {
+  const removedToken = tokens.find(t => t.id === tokenId);
+  if (!removedToken) return actionError(404, 'Token not found');
+  tokens = tokens.filter(t => t.id !== tokenId);
+  
+  // Remove from storage
+  const { error } = await storage.delete('tokens', { id: tokenId });
+  if (error) {
+    console.log('Storage error:', error.message);
+  }
+  const controlChanges = await updateRegionControlAt(removedToken);
+  await recordAction(actor, 'token:remove', `Remove "${removedToken.name}"`, [
+    { entity: 'token', id: removedToken.id, before: snapshot(removedToken), after: null },
+    ...controlChanges
+  ]);
+  await recordTokenMove(removedToken, removedToken, 'remove');
+  
+  // Broadcast to everyone in the scene
+  io.to(sceneRoom(removedToken.scene_id)).emit('token:removed', tokenId);
+  return { data: removedToken, error: null };
+}
+
+// Create a faction's stats or change some of them
+const FACTION_STAT_LABELS = {
+  current_hp: 'HP',
+  max_hp: 'Max HP',
+  force_stat: 'Force',
+  cunning_stat: 'Cunning',
+  wealth_stat: 'Wealth',
+  magic_stat: 'Magic',
+  treasure_stat: 'Treasure'
+};
+
+// "HP 50 → 40, Force 3 → 4" for the stats that changed; '' when none did
+function describeFactionChanges(before, after) {
+  return Object.entries(FACTION_STAT_LABELS)
+    .filter(([field]) => before[field] !== after[field])
+    .map(([field, label]) => `${label} ${before[field]} → ${after[field]}`)
+    .join(', ');
+}
+
+async function saveFactionStats(actor, factionData) {
+  if (!factionData || typeof factionData.faction_name !== 'string' || !factionData.faction_name.trim()) {
+    return actionError(400, 'Faction name is required');
+  }
+
+  let updatedFaction;
+  const existingIndex = factionStats.findIndex(f => f.campaign_id === actor.campaignId && f.faction_name === factionData.faction_name);
+  const before = existingIndex !== -1 ? snapshot(factionStats[existingIndex]) : null;
+
+  if (existingIndex !== -1) {
+    // Update existing faction
+    console.log('📊 Updating existing faction at index:', existingIndex);
+    const { id, campaign_id, ...changes } = factionData;
+    updatedFaction = factionStats[existingIndex] = { ...factionStats[existingIndex], ...changes };
+    console.log('📊 Updated faction in memory:', JSON.stringify(updatedFaction, null, 2));
+
+    // Update in storage
+    const { error } = await storage.update('faction_stats', { campaign_id: actor.campaignId, faction_name: updatedFaction.faction_name }, {
+      current_hp: updatedFaction.current_hp,
+      max_hp: updatedFaction.max_hp,
+      force_stat: updatedFaction.force_stat,
+      wealth_stat: updatedFaction.wealth_stat,
+      cunning_stat: updatedFaction.cunning_stat,
+      magic_stat: updatedFaction.magic_stat,
+      treasure_stat: updatedFaction.treasure_stat,
+      is_visible: updatedFaction.is_visible
+    });
+
+    if (error) {
+      console.log('❌ Storage faction update error:', JSON.stringify(error, null, 2));
+    } else {
+      console.log('✅ Faction stats updated in database:', updatedFaction.faction_name);
+    }
+  } else {
+    // Create new faction
+    console.log('📊 Creating new faction (not found in memory)');
+    updatedFaction = {
+      id: factionStatsIdCounter++,
+      campaign_id: actor.campaignId,
+      faction_name: factionData.faction_name,
+      current_hp: factionData.current_hp || 0,
+      max_hp: factionData.max_hp || 0,
+      force_stat: factionData.force_stat || 0,
+      wealth_stat: factionData.wealth_stat || 0,
+      cunning_stat: factionData.cunning_stat || 0,
+      magic_stat: factionData.magic_stat || 'None',
+      treasure_stat: factionData.treasure_stat || 0,
+      is_visible: factionData.is_visible || false
+    };
+    factionStats.push(updatedFaction);
+    console.log('📊 Faction added to memory. Total factions:', factionStats.length);
+
+    // Insert into storage
+    const { error } = await storage.insert('faction_stats', [updatedFaction]);
+    if (error) {
+      console.log('❌ Storage faction insert error:', JSON.stringify(error, null, 2));
+    } else {
+      console.log('✅ New faction stats saved to database:', updatedFaction.faction_name);
+    }
+  }
+
+  await recordAction(actor, 'faction_stats:update', `${before ? 'Edit' : 'Add'} faction "${updatedFaction.faction_name}"`, [
+    { entity: 'faction', id: updatedFaction.id, before, after: snapshot(updatedFaction) }
+  ]);
+
+  // Broadcast to everyone in the campaign (players only see visible factions)
+  broadcastFactionStats(updatedFaction);
+  const changes = before ? describeFactionChanges(before, updatedFaction) : 'added';
+  if (changes) {
+    await postFeedEvent(actor.campaignId, `Faction ${updatedFaction.faction_name}: ${changes}`, updatedFaction.is_visible === true);
+  }
+  return { data: updatedFaction, error: null };
+}
+
+async function deleteFactionStats(actor, factionName) {
+  const removedFaction = factionStats.find(f => f.campaign_id === actor.campaignId && f.faction_name === factionName);
+  if (!removedFaction) return actionError(404, 'Faction not found');
+
+  // Remove from memory
+  factionStats = factionStats.filter(f => f !== removedFaction);
+
+  // Remove from storage
+  const { error } = await storage.delete('faction_stats', { campaign_id: actor.campaignId, faction_name: factionName });
+  if (error) {
+    console.log('❌ Storage faction delete error:', JSON.stringify(error, null, 2));
+  } else {
+    console.log('✅ Faction stats deleted:', factionName);
+  }
+  await recordAction(actor, 'faction_stats:delete', `Delete faction "${factionName}"`, [
+    { entity: 'faction', id: removedFaction.id, before: snapshot(removedFaction), after: null }
+  ]);
+
+  // Broadcast to everyone in the campaign
+  io.to(campaignRoom(actor.campaignId)).emit('faction_stats:deleted', factionName);
+  await postFeedEvent(actor.campaignId, `Faction ${factionName}: removed`, removedFaction.is_visible === true);
+  return { data: removedFaction, error: null };
+}
+
+// A player proposes moving a token, optionally saying why; cancels the open
+// proposal for it there may be
+async function createMoveProposal(actor, proposalData) {
+  if (!actor.playerId) return actionError(403, 'Log in as a player to propose moves');
+
+  const token = tokens.find(t => t.id === proposalData.token_id);
+  if (!token || token.scene_id !== actor.sceneId || !isTokenVisibleToPlayers(token)) {
+    return actionError(404, 'Token not found in this scene');
+  }
+  if (!canPlayerMoveToken(actor, token)) return actionError(403, 'You can\'t move this token');
+  const waypoints = normalizeWaypoints(proposalData.waypoints);
+  const { error: movementError } = checkTokenMovement(token, proposalData.proposed_x, proposalData.proposed_y, waypoints);
+  if (movementError) return actionError(400, movementError, 'movement_exceeded');
+
+  const existingProposal = getTokenProposal(token.id);
+  if (existingProposal) await closeProposal(actor, existingProposal, 'cancelled');
+
+  const newProposal = {
+    token_id: token.id,
+    scene_id: token.scene_id,
+    original_x: proposalData.original_x,
+    original_y: proposalData.original_y,
+    proposed_x: proposalData.proposed_x,
+    proposed_y: proposalData.proposed_y,
+    waypoints,
+    reason: proposalData.reason || '',
+    comments: [],
+    proposed_by_player_id: actor.playerId,
+    proposed_by_name: actor.playerName
+  };
+  setProposalStatus(newProposal, 'pending', actor);
+
+  // Insert into storage
+  const { data, error } = await storage.insert('move_proposals', [newProposal]);
+  if (error) {
+    console.log('❌ Storage move proposal insert error:', JSON.stringify(error, null, 2));
+    return actionError(500, 'Failed to create move proposal');
+  }
+
+  const createdProposal = data[0];
+  console.log('✅ Move proposal created:', JSON.stringify(createdProposal, null, 2));
+  moveProposals.push(createdProposal);
+
+  // Broadcast to everyone in the scene
+  broadcastProposal('move_proposal:created', createdProposal);
+  return { data: createdProposal, error: null };
+}
+
+// With `override` the DM approves a move longer than the token has left
+async function approveMoveProposal(actor, proposalId, override = false) {
+  const proposal = getOpenProposal(proposalId);
+  if (!proposal) return actionError(404, 'Proposal not found');
+
+  const token = tokens.find(t => t.id === proposal.token_id);
+  if (token && !override) {
+    const { error } = checkTokenMovement(token, proposal.proposed_x, proposal.proposed_y, proposal.waypoints || []);
+    if (error) return actionError(409, error, 'movement_exceeded');
+  }
+
+  await approveProposal(actor, proposal);
+  return { data: proposal, error: null };
+}
+
+// The DM rejects a proposal, or a player cancels one of their own; `reason`
+// is added to its thread
+async function rejectMoveProposal(actor, proposalId, reason = '') {
+  const proposal = getOpenProposal(proposalId);
+  if (!proposal) return actionError(404, 'Proposal not found');
+  if (actor.userRole !== 'dm' && proposal.proposed_by_player_id !== actor.playerId) {
+    return actionError(403, 'You can only cancel your own proposals');
+  }
+
+  await closeProposal(actor, proposal, actor.userRole === 'dm' ? 'rejected' : 'cancelled', reason);
+  return { data: proposal, error: null };
+}
+
+// Whether an actor takes part in a proposal's discussion: the DM, or a
+// player who can see its token
+function canDiscussProposal(actor, proposal) {
+  if (actor.userRole === 'dm') return true;
+  const token = tokens.find(t => t.id === proposal.token_id);
+  return !!actor.playerId && actor.sceneId === proposal.scene_id && !!token && isTokenVisibleToPlayers(token);
+}
+
+async function commentOnProposal(actor, proposalId, text) {
+  const proposal = getOpenProposal(proposalId);
+  if (!proposal || !canDiscussProposal(actor, proposal)) return actionError(404, 'Proposal not found');
+
+  await saveProposal(proposal, addProposalComment(proposal, actor, text.trim()));
+  return { data: proposal, error: null };
+}
+
+// The DM moves a proposal's ghost somewhere else for its player to accept
+async function counterMoveProposal(actor, proposalId, counter) {
+  const proposal = getOpenProposal(proposalId);
+  if (!proposal) return actionError(404, 'Proposal not found');
+
+  const changes = setProposalStatus(proposal, 'countered', actor, {
+    from: { x: proposal.proposed_x, y: proposal.proposed_y }
+  });
+  Object.assign(proposal, {
+    proposed_x: counter.proposed_x,
+    proposed_y: counter.proposed_y,
+    waypoints: normalizeWaypoints(counter.waypoints)
+  });
+  Object.assign(changes, {
+    proposed_x: proposal.proposed_x,
+    proposed_y: proposal.proposed_y,
+    waypoints: proposal.waypoints
+  });
+  const note = (counter.note || '').trim();
+  if (note) Object.assign(changes, addProposalComment(proposal, actor, note));
+
+  await saveProposal(proposal, changes);
+  return { data: proposal, error: null };
+}
+
+// A player takes the DM's counter-proposal; the DM picked the spot, so the
+// token moves right away
+async function acceptCounterProposal(actor, proposalId) {
+  const proposal = getOpenProposal(proposalId);
+  if (!proposal) return actionError(404, 'Proposal not found');
+  if (proposal.proposed_by_player_id !== actor.playerId) {
+    return actionError(403, 'You can only accept counter-proposals to your own proposals');
+  }
+  if (proposal.status !== 'countered') return actionError(409, 'The DM hasn\'t counter-proposed this move');
+
+  await approveProposal(actor, proposal);
+  return { data: proposal, error: null };
+}
+
+// Replace which factions players may propose moves for
+async function updateMovableFactions(actor, factionsConfig) {
+  if (!Array.isArray(factionsConfig)) return actionError(400, 'Expected a list of factions');
+
+  const campaignId = actor.campaignId;
+  const campaignConfig = factionsConfig.map(config => ({
+    campaign_id: campaignId,
+    faction_name: config.faction_name,
+    is_movable: config.is_movable
+  }));
+
+  // Clear existing config for this campaign
+  await storage.delete('movable_factions', { campaign_id: campaignId });
+  
+  // Insert new config
+  if (campaignConfig.length > 0) {
+    await storage.insert('movable_factions', campaignConfig);
+  }
+
+  movableFactionsConfig = movableFactionsConfig.filter(c => c.campaign_id !== campaignId).concat(campaignConfig);
+
+  // Broadcast to everyone in the campaign
+  io.to(campaignRoom(campaignId)).emit('movable_factions:updated', campaignConfig);
+  console.log('✅ Movable factions configuration updated');
+  return { data: campaignConfig, error: null };
+}
+
+// Say something in the campaign chat: to everyone, as a whisper (players to
+// the DM, the DM to the player `to_player_id`) or as the DM's announcement
+async function sendChatMessage(actor, { kind, text, to_player_id: toPlayerId = null }) {
+  const isDMActor = actor.userRole === 'dm';
+  const message = { kind, text: text.trim(), author: isDMActor ? 'DM' : (actor.playerName || 'Guest'), author_role: isDMActor ? 'dm' : 'player' };
+
+  if (kind === 'announcement' && !isDMActor) return actionError(403, 'Only DM can make announcements');
+  if (kind === 'whisper' && isDMActor) {
+    const player = getPlayerAccount(toPlayerId);
+    if (!player) return actionError(404, 'Pick a player to whisper to');
+    Object.assign(message, { to_player_id: player.id, to_name: player.name });
+  } else if (kind === 'whisper') {
+    if (!actor.playerId) return actionError(403, 'Log in as a player to whisper to the DM');
+    Object.assign(message, { player_id: actor.playerId, to_name: 'DM' });
+  } else if (!isDMActor) {
+    message.player_id = actor.playerId || null;
+  }
+
+  const saved = await addChatMessage(actor.campaignId, message);
+  console.log(`💬 ${message.author} (${kind}) in campaign ${actor.campaignId}`);
+  return { data: saved, error: null };
+}
+
+function describeAnnotation(annotation) {
+  return annotation.name ? `${annotation.kind} "${annotation.name}"` : annotation.kind;
+}
+
+// Add a region, label, marker or drawing to the actor's scene
+async function createAnnotation(actor, annotationData) {
+  const { data: fields, error: fieldsError } = normalizeAnnotation(annotationData);
+  if (fieldsError) return actionError(400, fieldsError);
+
+  const { data, error } = await storage.insert('annotations', [{
+    scene_id: actor.sceneId,
+    ...fields,
+    created_at: new Date().toISOString()
+  }]);
+  if (error) {
+    console.log('❌ Storage annotation insert error:', JSON.stringify(error, null, 2));
+    return actionError(500, 'Failed to save annotation');
+  }
+
+  const annotation = data[0];
+  annotations.push(annotation);
+  await recordAction(actor, 'annotation:create', `Add ${describeAnnotation(annotation)}`, [
+    { entity: 'annotation', id: annotation.id, before: null, after: snapshot(annotation) }
+  ]);
+  broadcastSceneAnnotations(annotation.scene_id);
+  console.log('🗺️ Annotation added:', describeAnnotation(annotation));
+  return { data: annotation, error: null };
+}
+
+// Change an annotation's points or details; its kind stays
+async function updateAnnotation(actor, { id, ...changes }) {
+  const index = annotations.findIndex(a => a.id === id && a.scene_id === actor.sceneId);
+  if (index === -1) return actionError(404, 'Annotation not found in this scene');
+
+  const before = snapshot(annotations[index]);
+  const { data: fields, error: fieldsError } = normalizeAnnotation({ ...before, ...changes, kind: before.kind });
+  if (fieldsError) return actionError(400, fieldsError);
+
+  const annotation = annotations[index] = { ...before, ...fields };
+  const { error } = await storage.update('annotations', { id }, fields);
+  if (error) {
+    console.log('❌ Storage annotation update error:', JSON.stringify(error, null, 2));
+  }
+  await recordAction(actor, 'annotation:update', `Edit ${describeAnnotation(annotation)}`, [
+    { entity: 'annotation', id, before, after: snapshot(annotation) }
+  ]);
+  broadcastSceneAnnotations(annotation.scene_id);
+  return { data: annotation, error: null };
+}
+
+async function deleteAnnotation(actor, annotationId) {
+  const annotation = annotations.find(a => a.id === annotationId && a.scene_id === actor.sceneId);
+  if (!annotation) return actionError(404, 'Annotation not found in this scene');
+
+  annotations = annotations.filter(a => a !== annotation);
+  const { error } = await storage.delete('annotations', { id: annotationId });
+  if (error) {
+    console.log('❌ Storage annotation delete error:', JSON.stringify(error, null, 2));
+  }
+  await recordAction(actor, 'annotation:delete', `Remove ${describeAnnotation(annotation)}`, [
+    { entity: 'annotation', id: annotationId, before: snapshot(annotation), after: null }
+  ]);
+  broadcastSceneAnnotations(annotation.scene_id);
+  console.log('🗺️ Annotation removed:', describeAnnotation(annotation));
+  return { data: annotation, error: null };
+}
+
+function exportCampaign(campaignId) {
+  const campaign = getCampaign(campaignId);
+  if (!campaign) return actionError(404, 'Campaign not found');
+
+  const campaignScenes = getCampaignScenes(campaign.id);
+  const sceneIds = campaignScenes.map(scene => scene.id);
+  const bundle = createBundle({
+    campaign,
+    scenes: campaignScenes,
+    tokens: tokens.filter(t => sceneIds.includes(t.scene_id)),
+    factionStats: getCampaignFactionStats(campaign.id),
+    moveProposals: moveProposals.filter(p => sceneIds.includes(p.scene_id)),
+    movableFactions: getCampaignMovableFactions(campaign.id),
+    fogRegions: fogRegions.filter(r => sceneIds.includes(r.scene_id)),
+    annotations: annotations.filter(a => sceneIds.includes(a.scene_id)),
+    mapInfos: Object.fromEntries(mapInfos)
+  });
+  return { data: bundle, error: null };
+}
+
+// Remove every token, proposal, fog region, annotation and timeline entry of
+// some scenes
+async function clearScenes(sceneIds) {
+  for (const sceneId of sceneIds) {
+    for (const table of ['tokens', 'move_proposals', 'fog_regions', 'annotations', 'token_moves']) {
+      const { error } = await storage.delete(table, { scene_id: sceneId });
+      if (error) {
+        console.log(`❌ Storage ${table} delete error:`, JSON.stringify(error, null, 2));
+      }
+    }
+  }
+  tokens = tokens.filter(t => !sceneIds.includes(t.scene_id));
+  moveProposals = moveProposals.filter(p => !sceneIds.includes(p.scene_id));
+  fogRegions = fogRegions.filter(r => !sceneIds.includes(r.scene_id));
+  annotations = annotations.filter(a => !sceneIds.includes(a.scene_id));
+  tokenMoves = tokenMoves.filter(m => !sceneIds.includes(m.scene_id));
+}
+
+// Load a bundle into a campaign. "replace" clears the campaign first; "merge"
+// adds the bundle's tokens, fog and annotations and overwrites factions with
+// the same name.
+// Bundle scenes go into the campaign's scene of the same name, or a new one.
+async function importCampaign(actor, bundle, mode) {
+  if (!IMPORT_MODES.includes(mode)) return actionError(400, `Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  const { data, error } = readBundle(bundle, BUNDLE_SCHEMAS);
+  if (error) return actionError(400, error);
+
+  const campaign = getCampaign(actor.campaignId);
+  if (!campaign) return actionError(404, 'Campaign not found');
+
+  // Replacing starts the campaign over, undo history included: undoing an
+  // older action would bring back what the import replaced
+  if (mode === 'replace') {
+    await clearScenes(getCampaignScenes(campaign.id).map(scene => scene.id));
+    await storage.delete('faction_stats', { campaign_id: campaign.id });
+    factionStats = factionStats.filter(f => f.campaign_id !== campaign.id);
+    await storage.delete('movable_factions', { campaign_id: campaign.id });
+    movableFactionsConfig = movableFactionsConfig.filter(c => c.campaign_id !== campaign.id);
+    await history.clear(campaign.id);
+    Object.assign(campaign, data.campaign, { active_turn_index: null });
+    await saveCampaignTurn(campaign);
+  }
+
+  // Scenes: bundle scene id -> scene in this campaign
+  const mapImages = listMapImages();
+  const sceneIdMap = new Map();
+  for (const bundleScene of data.scenes) {
+    let scene = getCampaignScenes(campaign.id).find(s => s.name === bundleScene.name);
+    const isNewScene = !scene;
+    if (isNewScene) {
+      const mapImage = mapImages.includes(bundleScene.map_image) ? bundleScene.map_image : path.basename(MAP_IMAGE);
+      scene = await createScene(campaign.id, bundleScene.name, mapImage);
+      if (!scene) return actionError(500, 'Failed to create scene');
+    }
+    if (mode === 'replace' || isNewScene) {
+      scene.fog_enabled = bundleScene.fog_enabled;
+      scene.map_scale = bundleScene.map_scale;
+      await storage.update('scenes', { id: scene.id }, { fog_enabled: scene.fog_enabled, map_scale: scene.map_scale });
+    }
+    sceneIdMap.set(bundleScene.id, scene.id);
+
+    if (bundleScene.fog_regions.length > 0) {
+      const { data: inserted, error: fogError } = await storage.insert('fog_regions', bundleScene.fog_regions.map(points => ({
+        scene_id: scene.id,
+        points,
+        created_at: new Date().toISOString()
+      })));
+      if (fogError) {
+        console.log('❌ Storage fog insert error:', JSON.stringify(fogError, null, 2));
+      } else {
+        fogRegions.push(...inserted);
+      }
+    }
+  }
+
+  // Tokens get new ids; owners and icons must exist on this server
+  const tokenIdMap = new Map();
+  const importedTokens = data.tokens.map((bundleToken) => {
+    const token = {
+      ...bundleToken,
+      id: tokenIdCounter++,
+      scene_id: sceneIdMap.get(bundleToken.scene_id),
+      owner_player_id: getPlayerAccount(bundleToken.owner_player_id) ? bundleToken.owner_player_id : null,
+      icon_url: isLibraryIconUrl(bundleToken.icon_url) ? bundleToken.icon_url : null,
+      timestamp: new Date().toISOString()
+    };
+    tokenIdMap.set(bundleToken.id, token);
+    return token;
+  });
+  if (importedTokens.length > 0) {
+    const { error: tokenError } = await storage.insert('tokens', importedTokens);
+    if (tokenError) {
+      console.log('❌ Storage token insert error:', JSON.stringify(tokenError, null, 2));
+      return actionError(500, 'Failed to import tokens');
+    }
+    tokens.push(...importedTokens);
+  }
+  for (const token of importedTokens) {
+    await recordTokenMove(token, null, 'place');
+  }
+
+  // Region triggers point at the imported tokens
+  const annotationRows = data.scenes.flatMap(bundleScene => bundleScene.annotations.map(annotation => ({
+    scene_id: sceneIdMap.get(bundleScene.id),
+    ...annotation,
+    triggers: annotation.triggers.map(trigger => ({
+      ...trigger,
+      token_id: trigger.token_id === null ? null : tokenIdMap.get(trigger.token_id).id
+    })),
+    created_at: new Date().toISOString()
+  })));
+  if (annotationRows.length > 0) {
+    const { data: inserted, error: annotationError } = await storage.insert('annotations', annotationRows);
+    if (annotationError) {
+      console.log('❌ Storage annotation insert error:', JSON.stringify(annotationError, null, 2));
+    } else {
+      annotations.push(...inserted);
+    }
+  }
+
+  for (const bundleFaction of data.factionStats) {
+    const existing = factionStats.find(f => f.campaign_id === campaign.id && f.faction_name === bundleFaction.faction_name);
+    if (existing) {
+      Object.assign(existing, bundleFaction);
+      await storage.update('faction_stats', { id: existing.id }, bundleFaction);
+    } else {
+      const faction = { id: factionStatsIdCounter++, campaign_id: campaign.id, ...bundleFaction };
+      factionStats.push(faction);
+      await storage.insert('faction_stats', [faction]);
+    }
+  }
+
+  // A token has at most one proposal; merged tokens are new, so no clashes
+  const proposalRows = data.moveProposals.map((bundleProposal) => {
+    const token = tokenIdMap.get(bundleProposal.token_id);
+    return {
+      ...bundleProposal,
+      token_id: token.id,
+      scene_id: token.scene_id,
+      proposed_by_player_id: getPlayerAccount(bundleProposal.proposed_by_player_id) ? bundleProposal.proposed_by_player_id : null
+    };
+  });
+  if (proposalRows.length > 0) {
+    const { data: inserted, error: proposalError } = await storage.insert('move_proposals', proposalRows);
+    if (proposalError) {
+      console.log('❌ Storage move proposal insert error:', JSON.stringify(proposalError, null, 2));
+    } else {
+      moveProposals.push(...inserted);
+    }
+  }
+
+  const bundleMovable = data.movableFactions.map(config => config.faction_name);
+  await updateMovableFactions(actor, getCampaignMovableFactions(campaign.id)
+    .filter(config => !bundleMovable.includes(config.faction_name))
+    .concat(data.movableFactions));
+
+  // Everyone in the campaign reloads what they can see
+  forEachSocketInRoom(campaignRoom(campaign.id), (clientSocket) => {
+    if (!clientSocket.isAuthenticated) return;
+    sendCampaignState(clientSocket);
+    if (clientSocket.sceneId) sendSceneState(clientSocket);
+  });
+
+  const summary = {
+    mode,
+    scenes: sceneIdMap.size,
+    tokens: importedTokens.length,
+    factions: data.factionStats.length,
+    proposals: proposalRows.length
+  };
+  console.log(`💾 Imported bundle into campaign ${campaign.id} (${mode}):`, JSON.stringify(summary));
+  return { data: summary, error: null };
+}
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+  console.log('Player connected:', socket.id);
+  
+  // Store user role on socket
+  socket.userRole = null;
+  socket.isAuthenticated = false;
+  socket.rateLimiter = createRateLimiter(RATE_LIMIT);
+
+  // Only the DM sends frames bigger than Socket.IO's default; anyone else who
+  // does is cut off before the frame is handled
+  socket.conn.on('packet', (packet) => {
+    if (packet.type !== 'message' || isDM(socket)) return;
+    const size = typeof packet.data === 'string' ? Buffer.byteLength(packet.data) : (packet.data ? packet.data.byteLength : 0);
+    if (size > DEFAULT_MAX_FRAME_BYTES) {
+      console.log(`🚫 Dropping ${socket.id}: sent ${size} bytes without being the DM`);
+      socket.disconnect(true);
+    }
+  });
+
+  // Every event is rate limited and checked against its schema before its
+  // handler runs; handlers get the cleaned payload
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    requestContext.run({ id: randomUUID(), event }, () => {
+      const { data, error } = checkClientEvent(socket, event, payload);
+      if (error) {
+        const { code, message, ...details } = error;
+        // A flood is logged once, not once per refused event
+        if (code !== 'rate_limited' || !socket.isRateLimited) {
+          console.log(`❌ [${requestContext.getStore().id}] ${event} from ${socket.id} refused: ${message}`);
+        }
+        socket.isRateLimited = code === 'rate_limited';
+        sendError(socket, message, code, details);
+        return;
+      }
+      socket.isRateLimited = false;
+      packet.splice(1, packet.length - 1, ...(data === undefined ? [] : [data]));
+      next();
+    });
+  });
+  
+  // Handle authentication
+  socket.on('authenticate', async (data) => {
+    const { password, role } = data;
+    
+    // Campaign picked from the page URL (?campaign=<id>); joined on set_role
+    socket.requestedCampaignId = Number(data.campaignId) || null;
+    
+    if (role === 'dm') {
+      if (password === process.env.DM_PASSWORD) {
+        socket.userRole = 'dm';
+        socket.isAuthenticated = true;
+        socket.playerId = null;
+        socket.playerName = null;
+        socket.emit('auth_result', { success: true, role: 'dm' });
+        console.log('DM authenticated:', socket.id);
+      } else {
+        socket.emit('auth_result', { success: false, message: 'Invalid DM password' });
+        console.log('Failed DM authentication:', socket.id);
+      }
+    } else if (role === 'player') {
+      const { player, sessionToken, error } = await authenticatePlayer(data);
+      if (error) {
+        socket.emit('auth_result', { success: false, role: 'player', message: error });
+        console.log('Failed player authentication:', socket.id, error);
+        return;
+      }
+      
+      const wasDM = socket.userRole === 'dm';
+      socket.userRole = 'player';
+      socket.isAuthenticated = true;
+      socket.playerId = player ? player.id : null;
+      socket.playerName = player ? player.name : null;
+      
+      // A DM logging out goes back to the scene the players are in
+      if (wasDM && socket.campaignId) {
+        joinCampaign(socket, socket.campaignId);
+      } else if (socket.campaignId) {
+        broadcastPlayerList(socket.campaignId);
+      }
+      socket.emit('auth_result', {
+        success: true,
+        role: 'player',
+        player: player ? toPublicPlayer(player) : null,
+        sessionToken
+      });
+      console.log('Player authenticated:', socket.id, player ? player.name : '(guest)');
+    } else {
+      socket.emit('auth_result', { success: false, message: 'Invalid role' });
+    }
+  });
+  
+  // Set role (called after authentication). The role itself always comes
+  // from authenticate so a player can't promote themselves to DM here.
+  socket.on('set_role', () => {
+    if (socket.isAuthenticated) {
+      console.log('Role set for', socket.id, ':', socket.userRole);
+      
+      if (!socket.campaignId) {
+        joinCampaign(socket, socket.requestedCampaignId);
+      } else {
+        sendCampaignState(socket);
+        sendSceneState(socket);
+      }
+    }
+  });
+  
+  // Helper function to check if user is DM
+  function isDM(socket) {
+    return socket.isAuthenticated && socket.userRole === 'dm';
+  }
+  
+  // Helper function to check if user is authenticated
+  function isAuthenticated(socket) {
+    return socket.isAuthenticated;
+  }
+
+  // Helper function to check the socket joined a campaign and one of its scenes
+  function isInScene(socket) {
+    return !!getCampaign(socket.campaignId) && !!getScene(socket.sceneId);
+  }
+
+  // Handle token refresh requests
+  socket.on('request_tokens', () => {
+    if (socket.isAuthenticated && socket.sceneId) {
+      sendSceneState(socket);
+      sendCampaignState(socket);
+    }
+  });
+  
+  // Handle token placement (DM only)
+  socket.on('token:place', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can place tokens');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      await placeToken(socket, data);
+    } catch (error) {
+      console.log('❌ Token place exception:', error.message);
+      sendError(socket, 'Failed to place token');
+    }
+  });
+  
+  // Handle token movement (DM, or players on their own tokens that move freely)
+  socket.on('token:move', async (data) => {
+    if (!isAuthenticated(socket)) {
+      sendError(socket, 'Only DM can move tokens');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const { error } = isDM(socket)
+        ? await moveToken(socket, data.tokenId, data.x, data.y, data.waypoints)
+        : await moveOwnToken(socket, data.tokenId, data.x, data.y, data.waypoints);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Token move exception:', error.message);
+      sendError(socket, 'Failed to move token');
+    }
+  });
+
+  // Handle token updates (DM, or players on a few fields of their own tokens)
+  socket.on('token:update', async (updatedData) => {
+    if (!isAuthenticated(socket)) {
+      sendError(socket, 'Only DM can update tokens');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const { error } = isDM(socket) ? await updateToken(socket, updatedData) : await updateOwnToken(socket, updatedData);
+      if (error) sendError(socket, error.message);
+    } catch (error) {
+      console.log('❌ Token update exception:', error.message);
+      sendError(socket, 'Failed to update token');
+    }
+  });
+  
+  // Handle token removal (DM only)
+  socket.on('token:remove', async (tokenId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can remove tokens');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      await removeToken(socket, tokenId);
+    } catch (error) {
+      console.log('❌ Token remove exception:', error.message);
+      sendError(socket, 'Failed to remove token');
+    }
+  });
+
+  // Handle removing every token in the DM's scene as one undoable action (DM only)
+  socket.on('tokens:clear', async () => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can remove tokens');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+    const removedTokens = getSceneTokens(socket.sceneId);
+    if (removedTokens.length === 0) return;
+
+    try {
+      tokens = tokens.filter(t => t.scene_id !== socket.sceneId);
+
+      const { error } = await storage.delete('tokens', { scene_id: socket.sceneId });
+      if (error) {
+        console.log('Storage error:', error.message);
+      }
+      await recordAction(socket, 'tokens:clear', `Clear ${removedTokens.length} tokens`,
+        removedTokens.map(token => ({ entity: 'token', id: token.id, before: snapshot(token), after: null }))
+      );
+      for (const token of removedTokens) {
+        await recordTokenMove(token, token, 'remove');
+      }
+
+      removedTokens.forEach((token) => {
+        io.to(sceneRoom(socket.sceneId)).emit('token:removed', token.id);
+      });
+      console.log(`✅ Cleared ${removedTokens.length} tokens from scene ${socket.sceneId}`);
+    } catch (error) {
+      console.log('❌ Token clear exception:', error.message);
+      sendError(socket, 'Failed to remove tokens');
+    }
+  });
+
+  // Handle faction stats creation/update (DM only)
+  socket.on('faction_stats:update', async (factionData) => {
+    console.log('📊 Faction stats update request received from', socket.id);
+    console.log('📊 User role:', socket.userRole, 'Is DM:', isDM(socket));
+    console.log('📊 Faction data received:', JSON.stringify(factionData, null, 2));
+    
+    if (!isDM(socket)) {
+      console.log('❌ Non-DM user attempted to update faction stats');
+      sendError(socket, 'Only DM can update faction stats');
+      return;
+    }
+
+    try {
+      const { error } = await saveFactionStats(socket, factionData);
+      if (error) sendError(socket, error.message);
+    } catch (error) {
+      console.log('Faction stats update exception:', error.message);
+      sendError(socket, 'Failed to update faction stats');
+    }
+  });
+
+  // Handle faction stats deletion (DM only)
+  socket.on('faction_stats:delete', async (factionName) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can delete faction stats');
+      return;
+    }
+
+    try {
+      await deleteFactionStats(socket, factionName);
+    } catch (error) {
+      console.log('Faction stats delete exception:', error.message);
+      sendError(socket, 'Failed to delete faction stats');
+    }
+  });
+
+  // Handle move proposal creation (Player only)
+  socket.on('move_proposal:create', async (proposalData) => {
+    console.log('🎯 Move proposal request received from', socket.id);
+    console.log('🎯 User role:', socket.userRole);
+    console.log('🎯 Proposal data:', JSON.stringify(proposalData, null, 2));
+    
+    if (socket.userRole !== 'player') {
+      console.log('❌ Non-player user attempted to create move proposal');
+      sendError(socket, 'Only players can create move proposals');
+      return;
+    }
+
+    try {
+      const { error } = await createMoveProposal(socket, proposalData);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Move proposal creation exception:', error.message);
+      sendError(socket, 'Failed to create move proposal');
+    }
+  });
+
+  // Handle move proposal update (Player only - for dragging ghosts)
+  socket.on('move_proposal:update', async (proposalData) => {
+    console.log('🎯 Move proposal update request from', socket.id);
+    console.log('🎯 Update data:', JSON.stringify(proposalData, null, 2));
+    
+    if (socket.userRole !== 'player') {
+      console.log('❌ Non-player user attempted to update move proposal');
+      sendError(socket, 'Only players can update move proposals');
+      return;
+    }
+
+    try {
+      // Find the open proposal for this token
+      const existingProposalIndex = moveProposals.findIndex(p => p.token_id === proposalData.token_id && isOpenProposal(p));
+      const existingProposal = moveProposals[existingProposalIndex];
+      // Without waypoints in the update the route keeps its old ones
+      const waypoints = 'waypoints' in proposalData
+        ? normalizeWaypoints(proposalData.waypoints)
+        : (existingProposal && existingProposal.waypoints) || [];
+      // Only changing the intent keeps the spot, even a counter-proposed one
+      const moved = !existingProposal || 'waypoints' in proposalData ||
+        proposalData.proposed_x !== existingProposal.proposed_x || proposalData.proposed_y !== existingProposal.proposed_y;
+      
+      const token = tokens.find(t => t.id === proposalData.token_id);
+      const { error: movementError } = token && moved
+        ? checkTokenMovement(token, proposalData.proposed_x, proposalData.proposed_y, waypoints)
+        : { error: null };
+      if (existingProposalIndex !== -1 && moveProposals[existingProposalIndex].proposed_by_player_id !== socket.playerId) {
+        sendError(socket, 'You can only change your own proposals');
+      } else if (existingProposalIndex !== -1 && (!token || token.scene_id !== socket.sceneId || !isTokenVisibleToPlayers(token))) {
+        sendError(socket, 'Token not found in this scene');
+      } else if (existingProposalIndex !== -1 && !canPlayerMoveToken(socket, token)) {
+        // Same turn gating as creating a proposal
+        sendError(socket, 'You can\'t move this token');
+      } else if (existingProposalIndex !== -1 && movementError) {
+        sendError(socket, movementError, 'movement_exceeded');
+      } else if (existingProposalIndex !== -1) {
+        // Update existing proposal
+        const changes = {
+          proposed_x: proposalData.proposed_x,
+          proposed_y: proposalData.proposed_y,
+          waypoints
+        };
+        if ('reason' in proposalData) changes.reason = proposalData.reason;
+        Object.assign(existingProposal, changes);
+        // Moving the ghost again answers a counter-proposal with a new one
+        if (moved && existingProposal.status === 'countered') {
+          Object.assign(changes, setProposalStatus(existingProposal, 'pending', socket));
+        }
+        
+        // Update in database and broadcast
+        await saveProposal(existingProposal, changes);
+        console.log('✅ Move proposal updated:', proposalData.token_id);
+      } else {
+        console.log('❌ No existing proposal found for token:', proposalData.token_id);
+        sendError(socket, 'No existing proposal found');
+      }
+
+    } catch (error) {
+      console.log('❌ Move proposal update exception:', error.message);
+      sendError(socket, 'Failed to update move proposal');
+    }
+  });
+
+  // Handle move proposal approval (DM only)
+  // The payload is a proposal id, or { id, override } to approve a move
+  // longer than the token has left this turn
+  socket.on('move_proposal:approve', async (data) => {
+    const { id: proposalId, override = false } = typeof data === 'object' ? data : { id: data };
+    console.log('🎯 Move proposal approval request from', socket.id, 'for proposal', proposalId);
+    
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can approve move proposals');
+      return;
+    }
+
+    try {
+      const { error } = await approveMoveProposal(socket, proposalId, override);
+      if (error) sendError(socket, error.message, error.code, { proposal_id: proposalId });
+    } catch (error) {
+      console.log('❌ Move proposal approval exception:', error.message);
+      sendError(socket, 'Failed to approve move proposal');
+    }
+  });
+
+  // Handle move proposal rejection (DM only)
+  // The payload is a proposal id, or { id, reason } to tell the player why
+  socket.on('move_proposal:reject', async (data) => {
+    const { id: proposalId, reason = '' } = typeof data === 'object' ? data : { id: data };
+    console.log('🎯 Move proposal rejection request from', socket.id, 'for proposal', proposalId);
+    
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can reject move proposals');
+      return;
+    }
+
+    try {
+      const { error } = await rejectMoveProposal(socket, proposalId, reason.trim());
+      if (error) {
+        sendError(socket, error.message, error.code);
+        return;
+      }
+      console.log('✅ Move proposal rejected:', proposalId);
+    } catch (error) {
+      console.log('❌ Move proposal rejection exception:', error.message);
+      sendError(socket, 'Failed to reject move proposal');
+    }
+  });
+
+  // Handle move proposal cancellation (Player only - for their own proposals)
+  socket.on('move_proposal:cancel', async (proposalId) => {
+    console.log('🎯 Move proposal cancellation request from', socket.id, 'for proposal', proposalId);
+    
+    if (socket.userRole !== 'player') {
+      sendError(socket, 'Only players can cancel move proposals');
+      return;
+    }
+
+    try {
+      const { error } = await rejectMoveProposal(socket, proposalId);
+      if (error) {
+        sendError(socket, error.message);
+        return;
+      }
+      console.log('✅ Move proposal cancelled by player:', proposalId);
+    } catch (error) {
+      console.log('❌ Move proposal cancellation exception:', error.message);
+      sendError(socket, 'Failed to cancel move proposal');
+    }
+  });
+
+  // Comments on a proposal (DM, and players who can see its token)
+  socket.on('move_proposal:comment', async ({ id, text }) => {
+    try {
+      const { error } = await commentOnProposal(socket, id, text);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Move proposal comment exception:', error.message);
+      sendError(socket, 'Failed to comment on move proposal');
+    }
+  });
+
+  // Handle counter-proposals (DM only)
+  socket.on('move_proposal:counter', async ({ id, ...counter }) => {
+    console.log('🎯 Move proposal counter from', socket.id, 'for proposal', id);
+
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can counter-propose moves');
+      return;
+    }
+
+    try {
+      const { error } = await counterMoveProposal(socket, id, counter);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Move proposal counter exception:', error.message);
+      sendError(socket, 'Failed to counter-propose move');
+    }
+  });
+
+  // Handle accepting a counter-proposal (Player only - for their own proposals)
+  socket.on('move_proposal:accept', async (proposalId) => {
+    console.log('🎯 Counter-proposal accepted by', socket.id, 'for proposal', proposalId);
+
+    if (socket.userRole !== 'player') {
+      sendError(socket, 'Only players can accept counter-proposals');
+      return;
+    }
+
+    try {
+      const { error } = await acceptCounterProposal(socket, proposalId);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Counter-proposal accept exception:', error.message);
+      sendError(socket, 'Failed to accept counter-proposal');
+    }
+  });
+
+  // Handle clearing all move proposals (DM only)  
+  socket.on('move_proposals:clear_all', async () => {
+    console.log('🎯 Clear all proposals request from', socket.id);
+    
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can clear all proposals');
+      return;
+    }
+
+    try {
+      // Reject all open proposals in the DM's current scene, as one action
+      const sceneId = socket.sceneId;
+      const changes = [];
+      for (const proposal of getSceneProposals(sceneId)) {
+        const before = snapshot(proposal);
+        await closeProposal(socket, proposal, 'rejected');
+        changes.push({ entity: 'proposal', id: proposal.id, before, after: snapshot(proposal) });
+      }
+      if (changes.length > 0) {
+        await recordAction(socket, 'move_proposals:clear_all', 'Clear all move proposals', changes);
+      }
+
+      // Broadcast to everyone in the scene
+      io.to(sceneRoom(sceneId)).emit('move_proposals:cleared');
+      console.log('✅ All move proposals cleared for scene', sceneId);
+
+    } catch (error) {
+      console.log('❌ Clear all proposals exception:', error.message);
+      sendError(socket, 'Failed to clear all proposals');
+    }
+  });
+
+  // Handle movable factions configuration (DM only)
+  socket.on('movable_factions:update', async (factionsConfig) => {
+    console.log('🎯 Movable factions update from', socket.id);
+    console.log('🎯 Factions config:', JSON.stringify(factionsConfig, null, 2));
+    
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can configure movable factions');
+      return;
+    }
+
+    try {
+      const { error } = await updateMovableFactions(socket, factionsConfig);
+      if (error) sendError(socket, error.message);
+    } catch (error) {
+      console.log('❌ Movable factions update exception:', error.message);
+      sendError(socket, 'Failed to update movable factions');
+    }
+  });
+  
+  // Handle logging a player out of their account (back to guest)
+  socket.on('player:logout', async (data) => {
+    if (!socket.playerId) return;
+
+    try {
+      if (data && data.sessionToken) {
+        const tokenHash = hashSessionToken(data.sessionToken);
+        await storage.delete('player_sessions', { token_hash: tokenHash });
+        playerSessions = playerSessions.filter(s => s.token_hash !== tokenHash);
+      }
+      console.log('Player logged out:', socket.playerName);
+      socket.playerId = null;
+      socket.playerName = null;
+      socket.emit('auth_result', { success: true, role: 'player', player: null });
+      if (socket.campaignId) broadcastPlayerList(socket.campaignId);
+
+    } catch (error) {
+      console.log('❌ Player logout exception:', error.message);
+      sendError(socket, 'Failed to log out');
+    }
+  });
+
+  // Handle creating a player account (DM only). The player claims it with
+  // the invite code and picks their own password.
+  socket.on('player_account:create', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can create player accounts');
+      return;
+    }
+
+    try {
+      const name = data && typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        sendError(socket, 'Player name is required');
+        return;
+      }
+      if (playerAccounts.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        sendError(socket, `A player named "${name}" already exists`);
+        return;
+      }
+
+      const { data: inserted, error } = await storage.insert('players', [{
+        name,
+        password_hash: null,
+        invite_code: generateInviteCode(),
+        created_at: new Date().toISOString()
+      }]);
+      if (error) {
+        console.log('❌ Storage player insert error:', JSON.stringify(error, null, 2));
+        sendError(socket, 'Failed to create player account');
+        return;
+      }
+
+      playerAccounts.push(inserted[0]);
+      broadcastPlayerAccounts();
+      console.log('✅ Player account created:', name);
+
+    } catch (error) {
+      console.log('❌ Player account creation exception:', error.message);
+      sendError(socket, 'Failed to create player account');
+    }
+  });
+
+  // Handle issuing a new invite code for a forgotten password (DM only)
+  socket.on('player_account:reset', async (playerId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can reset player accounts');
+      return;
+    }
+
+    try {
+      const player = getPlayerAccount(playerId);
+      if (!player) {
+        sendError(socket, 'Player not found');
+        return;
+      }
+
+      player.password_hash = null;
+      player.invite_code = generateInviteCode();
+      await storage.update('players', { id: player.id }, { password_hash: null, invite_code: player.invite_code });
+      await endPlayerSessions(player.id, 'The DM reset your account, use your new invite code to log in');
+      broadcastPlayerAccounts();
+      console.log('✅ Player account reset:', player.name);
+
+    } catch (error) {
+      console.log('❌ Player account reset exception:', error.message);
+      sendError(socket, 'Failed to reset player account');
+    }
+  });
+
+  // Handle deleting a player account (DM only); their tokens lose their owner
+  socket.on('player_account:delete', async (playerId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can delete player accounts');
+      return;
+    }
+
+    try {
+      const player = getPlayerAccount(playerId);
+      if (!player) {
+        sendError(socket, 'Player not found');
+        return;
+      }
+
+      await endPlayerSessions(player.id, 'Your player account was removed');
+      await storage.delete('players', { id: player.id });
+      playerAccounts = playerAccounts.filter(p => p.id !== player.id);
+
+      for (const token of tokens.filter(t => t.owner_player_id === player.id)) {
+        token.owner_player_id = null;
+        await storage.update('tokens', { id: token.id }, { owner_player_id: null });
+        broadcastTokenUpdate(token);
+      }
+
+      broadcastPlayerAccounts();
+      console.log('✅ Player account deleted:', player.name);
+
+    } catch (error) {
+      console.log('❌ Player account deletion exception:', error.message);
+      sendError(socket, 'Failed to delete player account');
+    }
+  });
+
+  // Handle adding an image to the icon library (DM only). `data` is the raw
+  // file; it is stored as a small square thumbnail.
+  socket.on('icon:upload', async ({ name, data } = {}) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can upload icons');
+      return;
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0 || data.length > MAX_ICON_UPLOAD_BYTES) {
+      sendError(socket, `Icons must be images of at most ${MAX_ICON_UPLOAD_BYTES / 1024 / 1024} MB`);
+      return;
+    }
+
+    let filename;
+    try {
+      filename = await saveIcon(data, ICONS_DIR);
+    } catch (error) {
+      console.log('❌ Icon processing error:', error.message);
+      sendError(socket, 'Could not read that image');
+      return;
+    }
+
+    try {
+      // The same image uploaded again reuses its library entry
+      if (!iconLibrary.some(icon => icon.filename === filename)) {
+        const icon = {
+          name: String(name || '').trim().slice(0, 100) || 'Icon',
+          filename,
+          created_at: new Date().toISOString()
+        };
+        const { data: saved, error } = await storage.insert('icons', [icon]);
+        if (error) {
+          console.log('❌ Storage icon insert error:', JSON.stringify(error, null, 2));
+          sendError(socket, 'Failed to save icon');
+          return;
+        }
+        iconLibrary.push(saved[0]);
+        console.log('✅ Icon added to library:', icon.name);
+      }
+
+      broadcastIconLibrary();
+      socket.emit('icon:uploaded', toClientIcon(iconLibrary.find(icon => icon.filename === filename)));
+
+    } catch (error) {
+      console.log('❌ Icon upload exception:', error.message);
+      sendError(socket, 'Failed to save icon');
+    }
+  });
+
+  // Handle removing an icon from the library (DM only). Tokens already using
+  // it keep it; the file is only deleted once no token does.
+  socket.on('icon:delete', async (iconId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can delete icons');
+      return;
+    }
+
+    try {
+      const icon = iconLibrary.find(i => i.id === iconId);
+      if (!icon) {
+        sendError(socket, 'Icon not found');
+        return;
+      }
+
+      await storage.delete('icons', { id: icon.id });
+      iconLibrary = iconLibrary.filter(i => i.id !== icon.id);
+      if (!tokens.some(t => t.icon_url === getIconUrl(icon.filename))) {
+        await deleteIconFile(icon.filename, ICONS_DIR);
+      }
+
+      broadcastIconLibrary();
+      console.log('✅ Icon removed from library:', icon.name);
+
+    } catch (error) {
+      console.log('❌ Icon deletion exception:', error.message);
+      sendError(socket, 'Failed to delete icon');
+    }
+  });
+
+  // Handle free dice rolls (anyone) - rolled here so nobody can fake a result
+  socket.on('dice:roll', (data) => {
+    if (!isAuthenticated(socket)) {
+      sendError(socket, 'Not authenticated');
+      return;
+    }
+
+    const roll = rollDice(data && data.notation, { mode: data && data.mode });
+    if (!roll) {
+      sendError(socket, 'Invalid dice notation');
+      return;
+    }
+
+    const result = {
+      type: 'roll',
+      rolled_by: socket.userRole === 'dm' ? 'DM' : (socket.playerName || 'Guest'),
+      label: typeof data.label === 'string' ? data.label.slice(0, 100) : '',
+      roll,
+      timestamp: new Date().toISOString()
+    };
+    io.to(sceneRoom(socket.sceneId)).emit('dice:rolled', result);
+    console.log(`🎲 ${result.rolled_by} rolled ${roll.notation} (${roll.mode}): ${roll.total}`);
+  });
+
+  // Handle attack resolution between two tokens (DM only). The attacker
+  // rolls its attack against the defender; a defender still standing rolls
+  // its counterattack back.
+  socket.on('combat:resolve', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can resolve attacks');
+      return;
+    }
+
+    try {
+      const attacker = tokens.find(t => t.id === data.attackerId && t.scene_id === socket.sceneId);
+      const defender = tokens.find(t => t.id === data.defenderId && t.scene_id === socket.sceneId);
+      if (!attacker || !defender || attacker === defender) {
+        sendError(socket, 'Pick two different tokens in this scene');
+        return;
+      }
+
+      const mode = ROLL_MODES.includes(data.mode) ? data.mode : 'normal';
+      const attackRoll = rollDice(attacker.attack || '0', { mode });
+      if (!attackRoll) {
+        sendError(socket, `"${attacker.name}" has an invalid attack: ${attacker.attack}`);
+        return;
+      }
+
+      const before = [snapshot(defender), snapshot(attacker)];
+      const attackDamage = Math.max(0, attackRoll.total);
+      defender.current_hp = Math.max(0, (defender.current_hp || 0) - attackDamage);
+
+      let counterRoll = null;
+      let counterDamage = 0;
+      if (defender.current_hp > 0) {
+        counterRoll = rollDice(defender.counterattack || '0');
+        if (counterRoll) {
+          counterDamage = Math.max(0, counterRoll.total);
+          attacker.current_hp = Math.max(0, (attacker.current_hp || 0) - counterDamage);
+        }
+      }
+
+      // Save and broadcast the new HP
+      for (const token of [defender, attacker]) {
+        const { error } = await storage.update('tokens', { id: token.id }, { current_hp: token.current_hp });
+        if (error) {
+          console.log('Storage update error:', error);
+        }
+        broadcastTokenUpdate(token);
+      }
+      await postHpEvent(defender, before[0].current_hp);
+      await postHpEvent(attacker, before[1].current_hp);
+      await recordAction(socket, 'combat:resolve', `${attacker.name} attacks ${defender.name}`, [defender, attacker].map((token, i) => ({
+        entity: 'token', id: token.id, before: before[i], after: snapshot(token)
+      })));
+
+      const result = {
+        type: 'combat',
+        attacker: { id: attacker.id, name: attacker.name, current_hp: attacker.current_hp },
+        defender: { id: defender.id, name: defender.name, current_hp: defender.current_hp },
+        attack_roll: attackRoll,
+        attack_damage: attackDamage,
+        counter_roll: counterRoll,
+        counter_damage: counterDamage,
+        defender_defeated: defender.current_hp === 0,
+        timestamp: new Date().toISOString()
+      };
+
+      // Players don't learn about tokens they can't see, nor HP the DM hid
+      const toPlayerCombatant = (token, combatant, unknownName) => {
+        if (!isTokenVisibleToPlayers(token)) return { name: unknownName };
+        if (!isFieldHidden(token, 'hp')) return combatant;
+        const { current_hp, ...rest } = combatant;
+        return rest;
+      };
+      forEachSocketInRoom(sceneRoom(socket.sceneId), (clientSocket) => {
+        if (clientSocket.userRole === 'dm') {
+          clientSocket.emit('combat:result', result);
+        } else if (clientSocket.isAuthenticated) {
+          clientSocket.emit('combat:result', {
+            ...result,
+            attacker: toPlayerCombatant(attacker, result.attacker, 'Someone'),
+            defender: toPlayerCombatant(defender, result.defender, 'someone')
+          });
+        }
+      });
+
+      console.log(`⚔️ ${attacker.name} attacked ${defender.name}: ${attackRoll.notation} = ${attackDamage} damage` +
+        (counterRoll ? `, counter ${counterRoll.notation} = ${counterDamage} damage` : ', no counterattack') +
+        ` (HP now ${attacker.current_hp} / ${defender.current_hp})`);
+
+    } catch (error) {
+      console.log('❌ Combat resolution exception:', error.message);
+      sendError(socket, 'Failed to resolve attack');
+    }
+  });
+
+  // Handle ending the current phase: on to the next faction, or to the next
+  // in-game turn when the tracker is stopped (DM only)
+  socket.on('turn:advance', async () => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can advance the turn');
+      return;
+    }
+
+    const campaign = getCampaign(socket.campaignId);
+    if (!campaign) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const endingFaction = getActiveFaction(campaign);
+      const endingTurn = campaign.current_turn || 1;
+      await settlePhaseProposals(socket, campaign, endingFaction);
+
+      Object.assign(campaign, getNextPhase(campaign));
+      await saveCampaignTurn(campaign);
+      broadcastTurnState(campaign.id);
+      await expireConditions(socket, campaign, {
+        faction: endingFaction,
+        roundEnded: campaign.current_turn > endingTurn,
+        turnOrder: campaign.turn_order || []
+      });
+
+      const activeFaction = getActiveFaction(campaign);
+      console.log(`✅ Campaign ${campaign.id} is now on turn ${campaign.current_turn}` +
+        (activeFaction ? ` (${activeFaction}'s phase)` : ''));
+    } catch (error) {
+      console.log('❌ Turn advance exception:', error.message);
+      sendError(socket, 'Failed to advance the turn');
+    }
+  });
+
+  // Handle changing the faction turn order and what happens to proposals at
+  // the end of each phase (DM only)
+  socket.on('turn_order:update', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can change the turn order');
+      return;
+    }
+
+    const order = normalizeTurnOrder(data && data.order);
+    if (!order) {
+      sendError(socket, 'Invalid turn order');
+      return;
+    }
+
+    const campaign = getCampaign(socket.campaignId);
+    if (!campaign) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const activeFaction = getActiveFaction(campaign);
+      campaign.turn_order = order;
+      if (END_OF_PHASE_ACTIONS.includes(data.end_of_phase)) {
+        campaign.end_of_phase = data.end_of_phase;
+      }
+      // Keep the phase with the faction that has it; stop if that faction is gone
+      if (activeFaction) {
+        campaign.active_turn_index = order.includes(activeFaction) ? order.indexOf(activeFaction) : null;
+      }
+
+      await saveCampaignTurn(campaign);
+      broadcastTurnState(campaign.id);
+      console.log(`✅ Turn order of campaign ${campaign.id}: ${order.join(', ') || '(empty)'}`);
+    } catch (error) {
+      console.log('❌ Turn order update exception:', error.message);
+      sendError(socket, 'Failed to change the turn order');
+    }
+  });
+
+  // Handle starting or stopping the turn tracker (DM only)
+  socket.on('turn_tracker:set_running', async (running) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can start or stop the turn tracker');
+      return;
+    }
+
+    const campaign = getCampaign(socket.campaignId);
+    if (!campaign) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+    if (running && !(campaign.turn_order || []).length) {
+      sendError(socket, 'Add factions to the turn order first');
+      return;
+    }
+
+    try {
+      campaign.active_turn_index = running ? 0 : null;
+      await saveCampaignTurn(campaign);
+      broadcastTurnState(campaign.id);
+      console.log(`✅ Turn tracker ${running ? 'started' : 'stopped'} for campaign ${campaign.id}`);
+    } catch (error) {
+      console.log('❌ Turn tracker exception:', error.message);
+      sendError(socket, 'Failed to start or stop the turn tracker');
+    }
+  });
+
+  // Handle rolling initiative (1d20 + cunning) to sort the turn order (DM only)
+  socket.on('turn_order:roll_initiative', async () => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can roll initiative');
+      return;
+    }
+
+    const campaign = getCampaign(socket.campaignId);
+    if (!campaign) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+    const order = campaign.turn_order || [];
+    if (order.length === 0) {
+      sendError(socket, 'Add factions to the turn order first');
+      return;
+    }
+
+    try {
+      const rolls = order.map((faction) => {
+        const stats = factionStats.find(f => f.campaign_id === campaign.id && f.faction_name === faction);
+        const bonus = Math.trunc(Number(stats && stats.cunning_stat) || 0);
+        const roll = rollDice(`1d20${bonus < 0 ? '' : '+'}${bonus}`);
+        return { faction, total: roll.total, roll };
+      });
+      const activeFaction = getActiveFaction(campaign);
+      campaign.turn_order = orderByInitiative(rolls);
+      if (activeFaction) campaign.active_turn_index = 0;
+
+      await saveCampaignTurn(campaign);
+      broadcastToCampaignDMs(campaign.id, 'turn_order:initiative', rolls.map(({ faction, roll }) => ({ faction, roll })));
+      broadcastTurnState(campaign.id);
+      console.log(`🎲 Initiative for campaign ${campaign.id}: ${rolls.map(r => `${r.faction} ${r.total}`).join(', ')}`);
+    } catch (error) {
+      console.log('❌ Initiative roll exception:', error.message);
+      sendError(socket, 'Failed to roll initiative');
+    }
+  });
+
+  // Handle undo/redo of the DM's last edits in this campaign (DM only)
+  ['undo', 'redo'].forEach((direction) => {
+    socket.on(`history:${direction}`, async () => {
+      if (!isDM(socket)) {
+        sendError(socket, `Only DM can ${direction}`);
+        return;
+      }
+      if (historyBusy) return;
+
+      historyBusy = true;
+      try {
+        const entry = await replayHistory(socket.campaignId, direction);
+        if (!entry) {
+          sendError(socket, `Nothing to ${direction}`);
+          return;
+        }
+        broadcastToCampaignDMs(socket.campaignId, 'history:applied', { direction, label: entry.label });
+        console.log(`↩️ ${direction} "${entry.label}" in campaign ${socket.campaignId}`);
+      } catch (error) {
+        console.log(`❌ History ${direction} exception:`, error.message);
+        sendError(socket, `Failed to ${direction}`);
+      } finally {
+        historyBusy = false;
+      }
+    });
+  });
+
+  // Handle revealing fog of war areas in the DM's scene (DM only)
+  socket.on('fog:reveal', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can reveal the map');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const polygons = (Array.isArray(data && data.polygons) ? data.polygons : [])
+        .map(normalizePolygon)
+        .filter(Boolean);
+      if (polygons.length === 0) {
+        sendError(socket, 'Nothing to reveal');
+        return;
+      }
+
+      const sceneId = socket.sceneId;
+      const { data: inserted, error } = await storage.insert('fog_regions', polygons.map(points => ({
+        scene_id: sceneId,
+        points,
+        created_at: new Date().toISOString()
+      })));
+      if (error) {
+        console.log('❌ Storage fog insert error:', JSON.stringify(error, null, 2));
+        sendError(socket, 'Failed to reveal area');
+        return;
+      }
+
+      fogRegions.push(...inserted);
+      await recordAction(socket, 'fog:reveal', inserted.length === 1 ? 'Reveal an area' : `Reveal ${inserted.length} areas`,
+        inserted.map(region => ({ entity: 'fog_region', id: region.id, before: null, after: snapshot(region) })));
+      broadcastSceneFog(sceneId);
+      console.log(`🌫️ Revealed ${inserted.length} areas in scene`, sceneId);
+
+    } catch (error) {
+      console.log('❌ Fog reveal exception:', error.message);
+      sendError(socket, 'Failed to reveal area');
+    }
+  });
+
+  // Handle covering a revealed area again (DM only)
+  socket.on('fog:hide', async (regionId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can hide map areas');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const region = fogRegions.find(r => r.id === regionId && r.scene_id === socket.sceneId);
+      if (!region) {
+        sendError(socket, 'Revealed area not found');
+        return;
+      }
+
+      await storage.delete('fog_regions', { id: regionId });
+      fogRegions = fogRegions.filter(r => r.id !== regionId);
+      await recordAction(socket, 'fog:hide', 'Cover a revealed area', [
+        { entity: 'fog_region', id: region.id, before: snapshot(region), after: null }
+      ]);
+      broadcastSceneFog(region.scene_id);
+      console.log('🌫️ Fog region hidden:', regionId);
+
+    } catch (error) {
+      console.log('❌ Fog hide exception:', error.message);
+      sendError(socket, 'Failed to hide area');
+    }
+  });
+
+  // Handle covering the whole scene again (DM only)
+  socket.on('fog:reset', async () => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can reset the fog');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
+
+    try {
+      const sceneId = socket.sceneId;
+      const covered = getSceneFogRegions(sceneId);
+      await storage.delete('fog_regions', { scene_id: sceneId });
+      fogRegions = fogRegions.filter(r => r.scene_id !== sceneId);
+      if (covered.length > 0) {
+        await recordAction(socket, 'fog:reset', 'Cover the whole map',
+          covered.map(region => ({ entity: 'fog_region', id: region.id, before: snapshot(region), after: null })));
+      }
+      broadcastSceneFog(sceneId);
+      console.log('🌫️ Fog reset for scene', sceneId);
 
-// Supabase setup
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+    } catch (error) {
+      console.log('❌ Fog reset exception:', error.message);
+      sendError(socket, 'Failed to reset fog');
+    }
+  });
 
-// Serve static files
-app.use(express.static('public'));
-app.use(express.json());
+  // Handle turning fog of war on or off for the DM's scene (DM only)
+  socket.on('fog:set_enabled', async (enabled) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can toggle fog of war');
+      return;
+    }
+    if (!isInScene(socket)) {
+      sendError(socket, 'Join a campaign first');
+      return;
+    }
 
-// No region detection - just track coordinates
+    try {
+      const scene = getScene(socket.sceneId);
+      scene.fog_enabled = enabled === true;
+      const { error } = await storage.update('scenes', { id: scene.id }, { fog_enabled: scene.fog_enabled });
+      if (error) {
+        console.log('❌ Storage scene update error:', JSON.stringify(error, null, 2));
+      }
+      broadcastSceneFog(scene.id);
+      console.log(`🌫️ Fog of war ${scene.fog_enabled ? 'enabled' : 'disabled'} for scene`, scene.id);
 
-// Store tokens in memory (will be replaced by Supabase)
-let tokens = [];
-let tokenIdCounter = 1;
+    } catch (error) {
+      console.log('❌ Fog toggle exception:', error.message);
+      sendError(socket, 'Failed to toggle fog of war');
+    }
+  });
 
-// Store faction stats in memory (will be synced with Supabase)
-let factionStats = [];
-let factionStatsIdCounter = 1;
+  // Chat messages, whispers and announcements (see lib/chat.js)
+  socket.on('chat:send', async (data) => {
+    try {
+      const { error } = await sendChatMessage(socket, data);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Chat message exception:', error.message);
+      sendError(socket, 'Failed to send message');
+    }
+  });
 
-// Store move proposals in memory (will be synced with Supabase)
-let moveProposals = [];
-let movableFactionsConfig = [];
+  // Older chat messages, a page before the oldest one the client has
+  socket.on('chat:history', ({ before, limit }) => {
+    socket.emit('chat:page', getCampaignChatPage(socket.campaignId, socket, before, limit));
+  });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('Player connected:', socket.id);
-  
-  // Store user role on socket
-  socket.userRole = null;
-  socket.isAuthenticated = false;
-  
-  // Handle authentication
-  socket.on('authenticate', (data) => {
-    const { password, role } = data;
-    
-    if (role === 'dm') {
-      if (password === process.env.DM_PASSWORD) {
-        socket.userRole = 'dm';
-        socket.isAuthenticated = true;
-        socket.emit('auth_result', { success: true, role: 'dm' });
-        console.log('DM authenticated:', socket.id);
-      } else {
-        socket.emit('auth_result', { success: false, message: 'Invalid DM password' });
-        console.log('Failed DM authentication:', socket.id);
-      }
-    } else if (role === 'player') {
-      socket.userRole = 'player';
-      socket.isAuthenticated = true;
-      socket.emit('auth_result', { success: true, role: 'player' });
-      console.log('Player authenticated:', socket.id);
-    } else {
-      socket.emit('auth_result', { success: false, message: 'Invalid role' });
+  // Handle map annotations in the DM's scene (DM only)
+  socket.on('annotation:create', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can annotate the map');
+      return;
+    }
+
+    try {
+      const { error } = await createAnnotation(socket, data);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Annotation create exception:', error.message);
+      sendError(socket, 'Failed to add annotation');
     }
   });
-  
-  // Set role (called after authentication)
-  socket.on('set_role', (data) => {
-    if (socket.isAuthenticated) {
-      socket.userRole = data.role;
-      console.log('Role set for', socket.id, ':', data.role);
-      
-      // Send current tokens to authenticated user (filtered for players)
-      const tokensToSend = socket.userRole === 'dm' ? tokens : tokens.filter(t => t.visible_to_players !== false);
-      console.log(`Initial load: Sending ${tokensToSend.length}/${tokens.length} tokens to ${socket.userRole} ${socket.id}`);
-      socket.emit('tokens:load', tokensToSend);
-      
-      // Send faction stats to authenticated user (filtered for players)
-      const factionStatsToSend = socket.userRole === 'dm' ? factionStats : factionStats.filter(f => f.is_visible === true);
-      console.log(`Initial load: Sending ${factionStatsToSend.length}/${factionStats.length} faction stats to ${socket.userRole} ${socket.id}`);
-      socket.emit('faction_stats:load', factionStatsToSend);
-      
-      // Send move proposals and movable factions config
-      socket.emit('move_proposals:load', moveProposals);
-      socket.emit('movable_factions:load', movableFactionsConfig);
+
+  socket.on('annotation:update', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can annotate the map');
+      return;
+    }
+
+    try {
+      const { error } = await updateAnnotation(socket, data);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Annotation update exception:', error.message);
+      sendError(socket, 'Failed to update annotation');
     }
   });
-  
-  // Helper function to check if user is DM
-  function isDM(socket) {
-    return socket.isAuthenticated && socket.userRole === 'dm';
-  }
-  
-  // Helper function to check if user is authenticated
-  function isAuthenticated(socket) {
-    return socket.isAuthenticated;
-  }
 
-  // Handle token refresh requests
-  socket.on('request_tokens', () => {
-    if (socket.isAuthenticated) {
-      const tokensToSend = socket.userRole === 'dm' ? tokens : tokens.filter(t => t.visible_to_players !== false);
-      console.log(`Sending ${tokensToSend.length}/${tokens.length} tokens to ${socket.userRole} ${socket.id}`);
-      socket.emit('tokens:load', tokensToSend);
-      
-      // Also send faction stats
-      const factionStatsToSend = socket.userRole === 'dm' ? factionStats : factionStats.filter(f => f.is_visible === true);
-      socket.emit('faction_stats:load', factionStatsToSend);
+  socket.on('annotation:delete', async (annotationId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can annotate the map');
+      return;
+    }
+
+    try {
+      const { error } = await deleteAnnotation(socket, annotationId);
+      if (error) sendError(socket, error.message, error.code);
+    } catch (error) {
+      console.log('❌ Annotation delete exception:', error.message);
+      sendError(socket, 'Failed to remove annotation');
     }
   });
-  
-  // Handle token placement (DM only)
-  socket.on('token:place', async (data) => {
+
+  // Handle calibrating the map scale of the DM's scene (DM only); null clears it
+  socket.on('scene:set_scale', async (data) => {
     if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can place tokens' });
+      sendError(socket, 'Only DM can set the map scale');
       return;
     }
-    const token = {
-      id: tokenIdCounter++,
-      x: data.x,
-      y: data.y,
-      name: data.name || `Token ${tokenIdCounter - 1}`,
-      faction: data.faction || '',
-      hp: data.hp || 0,
-      max_hp: data.max_hp || data.hp || 0,
-      current_hp: data.current_hp || data.hp || 0,
-      attack: data.attack || '0',
-      counterattack: data.counterattack || '0',
-      special: data.special || '',
-      notes: data.notes || '',
-      color: data.color || '#FF0000',
-      playerid: socket.id,
-      visible_to_players: data.visible_to_players !== false, // Default to true
-      timestamp: new Date().toISOString()
-    };
-    
-    tokens.push(token);
-    
-    // Save to Supabase
+
     try {
-      const { data, error } = await supabase.from('tokens').insert([token]);
+      const scene = getScene(socket.sceneId);
+      scene.map_scale = normalizeScale(data);
+      const { error } = await storage.update('scenes', { id: scene.id }, { map_scale: scene.map_scale });
       if (error) {
-        console.log('Supabase insert error:', error);
-        console.log('Token data:', JSON.stringify(token, null, 2));
-      } else {
-        console.log('✅ Token saved to database:', token.name);
+        console.log('❌ Storage scene update error:', JSON.stringify(error, null, 2));
       }
+      io.to(sceneRoom(scene.id)).emit('map:scale', scene.map_scale);
+      console.log(scene.map_scale
+        ? `📏 Map scale for scene ${scene.id}: ${scene.map_scale.pixels}px = ${scene.map_scale.distance} ${scene.map_scale.unit}`
+        : `📏 Map scale cleared for scene ${scene.id}`);
+
     } catch (error) {
-      console.log('Supabase exception:', error.message);
-      console.log('Token data:', JSON.stringify(token, null, 2));
+      console.log('❌ Map scale exception:', error.message);
+      sendError(socket, 'Failed to set the map scale');
     }
-    
-    // Broadcast to all players (filter for player clients)
-    io.sockets.sockets.forEach((clientSocket) => {
-      if (clientSocket.isAuthenticated) {
-        if (clientSocket.userRole === 'dm' || token.visible_to_players !== false) {
-          clientSocket.emit('token:placed', token);
-        }
-      }
-    });
   });
-  
-  // Handle token movement (DM only for now)
-  socket.on('token:move', async (data) => {
+
+  // Handle campaign creation (DM only) - every campaign starts with one scene
+  socket.on('campaign:create', async (data) => {
     if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can move tokens' });
+      sendError(socket, 'Only DM can create campaigns');
       return;
     }
-    const tokenIndex = tokens.findIndex(t => t.id === data.tokenId);
-    if (tokenIndex !== -1) {
-      tokens[tokenIndex].x = data.x;
-      tokens[tokenIndex].y = data.y;
-      
-      // Update in Supabase
-      try {
-        await supabase.from('tokens')
-          .update({ x: data.x, y: data.y })
-          .eq('id', data.tokenId);
-      } catch (error) {
-        console.log('Supabase error:', error.message);
+
+    try {
+      const name = (data && data.name) || `Campaign ${campaigns.length + 1}`;
+      const campaign = await createCampaign(name);
+      if (!campaign) {
+        sendError(socket, 'Failed to create campaign');
+        return;
       }
-      
-      // Broadcast to all players (filter for player clients)
-      const updatedToken = tokens[tokenIndex];
+
       io.sockets.sockets.forEach((clientSocket) => {
-        if (clientSocket.isAuthenticated) {
-          if (clientSocket.userRole === 'dm' || updatedToken.visible_to_players !== false) {
-            clientSocket.emit('token:moved', {
-              tokenId: data.tokenId,
-              x: data.x,
-              y: data.y
-            });
-          }
+        if (isDM(clientSocket)) {
+          clientSocket.emit('campaigns:load', { campaigns, currentCampaignId: clientSocket.campaignId });
         }
       });
+      joinCampaign(socket, campaign.id);
+      console.log('✅ Campaign created:', campaign.name);
+
+    } catch (error) {
+      console.log('❌ Campaign creation exception:', error.message);
+      sendError(socket, 'Failed to create campaign');
     }
   });
 
-  // Handle token updates (DM only)
-  socket.on('token:update', async (updatedData) => {
+  // Handle switching the DM's campaign (DM only)
+  socket.on('campaign:switch', (campaignId) => {
     if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can update tokens' });
+      sendError(socket, 'Only DM can switch campaigns');
       return;
     }
-    
-    const tokenIndex = tokens.findIndex(t => t.id === updatedData.id);
-    if (tokenIndex !== -1) {
-      // Update local token
-      tokens[tokenIndex] = { ...tokens[tokenIndex], ...updatedData };
-      
-      // Update in Supabase
-      try {
-        const { data, error } = await supabase.from('tokens')
-          .update({
-            name: updatedData.name,
-            faction: updatedData.faction,
-            current_hp: updatedData.current_hp,
-            max_hp: updatedData.max_hp,
-            attack: updatedData.attack,
-            counterattack: updatedData.counterattack,
-            special: updatedData.special,
-            notes: updatedData.notes,
-            color: updatedData.color,
-            visible_to_players: updatedData.visible_to_players
-          })
-          .eq('id', updatedData.id);
-          
+    if (!getCampaign(campaignId)) {
+      sendError(socket, 'Campaign not found');
+      return;
+    }
+    joinCampaign(socket, campaignId);
+  });
+
+  // Handle exporting the DM's campaign as a JSON bundle (DM only)
+  socket.on('campaign:export', () => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can export campaigns');
+      return;
+    }
+    const { data, error } = exportCampaign(socket.campaignId);
+    if (error) {
+      sendError(socket, error.message);
+      return;
+    }
+    socket.emit('campaign:exported', data);
+    console.log(`💾 Exported campaign ${socket.campaignId}: ${data.tokens.length} tokens, ${data.scenes.length} scenes`);
+  });
+
+  // Handle importing a bundle into the DM's campaign (DM only)
+  socket.on('campaign:import', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can import campaigns');
+      return;
+    }
+
+    try {
+      const { data: summary, error } = await importCampaign(socket, data && data.bundle, data && data.mode);
+      if (error) {
+        sendError(socket, error.message);
+        return;
+      }
+      socket.emit('campaign:imported', summary);
+    } catch (error) {
+      console.log('❌ Campaign import exception:', error.message);
+      sendError(socket, 'Failed to import campaign');
+    }
+  });
+
+  // Handle scene creation in the DM's campaign (DM only)
+  socket.on('scene:create', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can create scenes');
+      return;
+    }
+
+    try {
+      const mapImage = (data && data.map_image) || path.basename(MAP_IMAGE);
+      if (!listMapImages().includes(mapImage)) {
+        sendError(socket, 'Map image not found');
+        return;
+      }
+
+      const name = (data && data.name) || `Scene ${getCampaignScenes(socket.campaignId).length + 1}`;
+      const scene = await createScene(socket.campaignId, name, mapImage);
+      if (!scene) {
+        sendError(socket, 'Failed to create scene');
+        return;
+      }
+
+      broadcastToCampaignDMs(socket.campaignId, 'scenes:load', getCampaignScenes(socket.campaignId));
+      joinScene(socket, scene.id);
+      console.log('✅ Scene created:', scene.name, 'using map', scene.map_image);
+
+    } catch (error) {
+      console.log('❌ Scene creation exception:', error.message);
+      sendError(socket, 'Failed to create scene');
+    }
+  });
+
+  // Handle the DM viewing another scene of the campaign (DM only)
+  socket.on('scene:switch', (sceneId) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can switch scenes');
+      return;
+    }
+    const scene = getScene(sceneId);
+    if (!scene || scene.campaign_id !== socket.campaignId) {
+      sendError(socket, 'Scene not found');
+      return;
+    }
+    joinScene(socket, scene.id);
+  });
+
+  // Handle moving players to a scene (DM only). Without playerIds every
+  // player in the campaign moves, and new players will join that scene too.
+  socket.on('scene:move_players', async (data) => {
+    if (!isDM(socket)) {
+      sendError(socket, 'Only DM can move players between scenes');
+      return;
+    }
+
+    try {
+      const scene = getScene(data && data.sceneId);
+      if (!scene || scene.campaign_id !== socket.campaignId) {
+        sendError(socket, 'Scene not found');
+        return;
+      }
+
+      const playerIds = Array.isArray(data.playerIds) ? data.playerIds : null;
+      if (!playerIds) {
+        const campaign = getCampaign(socket.campaignId);
+        campaign.player_scene_id = scene.id;
+        const { error } = await storage.update('campaigns', { id: campaign.id }, { player_scene_id: scene.id });
         if (error) {
-          console.log('Supabase update error:', error);
-        } else {
-          console.log('✅ Token updated in database:', updatedData.name);
+          console.log('❌ Storage campaign update error:', JSON.stringify(error, null, 2));
         }
-      } catch (error) {
-        console.log('Supabase update exception:', error.message);
       }
-      
-      // Broadcast to all players (filter for player clients)
-      const updatedToken = tokens[tokenIndex];
-      io.sockets.sockets.forEach((clientSocket) => {
-        if (clientSocket.isAuthenticated) {
-          if (clientSocket.userRole === 'dm') {
-            // DM always sees all tokens
-            clientSocket.emit('token:updated', updatedToken);
-          } else if (clientSocket.userRole === 'player') {
-            if (updatedToken.visible_to_players !== false) {
-              // Token is visible to players - send update or placement
-              clientSocket.emit('token:updated', updatedToken);
-            } else {
-              // Token became invisible to players - remove it from their view
-              clientSocket.emit('token:removed', updatedToken.id);
-            }
-          }
+
+      forEachSocketInRoom(campaignRoom(socket.campaignId), (clientSocket) => {
+        if (clientSocket.userRole !== 'player') return;
+        if (playerIds && !playerIds.includes(clientSocket.id)) return;
+        if (clientSocket.sceneId !== scene.id) {
+          joinScene(clientSocket, scene.id);
         }
       });
+      console.log(`✅ Moved ${playerIds ? playerIds.length : 'all'} players to scene:`, scene.name);
+
+    } catch (error) {
+      console.log('❌ Move players exception:', error.message);
+      sendError(socket, 'Failed to move players');
     }
   });
-  
-  // Handle token removal (DM only)
-  socket.on('token:remove', async (tokenId) => {
+
+  // Handle listing the map images scenes can use (DM only)
+  socket.on('maps:list', () => {
     if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can remove tokens' });
+      sendError(socket, 'Only DM can list maps');
       return;
     }
-    tokens = tokens.filter(t => t.id !== tokenId);
-    
-    // Remove from Supabase
+    socket.emit('maps:list', listMapImages());
+  });
+  
+  socket.on('disconnect', () => {
+    console.log('Player disconnected:', socket.id);
+    if (socket.campaignId) {
+      broadcastPlayerList(socket.campaignId);
+    }
+  });
+});
+
+// Map metadata is public; the page needs it before anyone logs in
+app.get('/api/map', (req, res) => {
+  const scene = getScene(Number(req.query.scene)) || scenes[0];
+  res.json(getMapInfo(scene ? scene.map_image : path.basename(MAP_IMAGE)));
+});
+
+// REST API. Callers send "Authorization: Bearer <key>": the DM uses
+// DM_API_KEY, players the session token they got when logging in. Players see
+// what their socket would and stay in the scene their campaign's players are
+// in. Writes go through the same actions as the Socket.IO handlers, so
+// connected clients see them live. Without DM_API_KEY the API is off, so it
+// can't be used to guess the DM password.
+function getApiCaller(req) {
+  const key = getBearerToken(req.headers.authorization);
+  if (!key) return null;
+
+  if (isSameKey(key, process.env.DM_API_KEY)) {
+    return { userRole: 'dm', isAuthenticated: true, playerId: null, playerName: null };
+  }
+  const session = playerSessions.find(s => s.token_hash === hashSessionToken(key));
+  const player = session && getPlayerAccount(session.player_id);
+  if (!player) return null;
+  return { userRole: 'player', isAuthenticated: true, playerId: player.id, playerName: player.name };
+}
+
+function requireApiEnabled(req, res, next) {
+  if (!process.env.DM_API_KEY) {
+    res.status(503).json({ error: 'The REST API is off; set DM_API_KEY to turn it on' });
+    return;
+  }
+  next();
+}
+
+// Every client address gets a rate limit like a socket's (lib/rateLimit.js),
+// and a wrong key costs as much as a socket login
+const apiRateLimiters = new Map();
+const MAX_API_RATE_LIMITERS = 10000;
+
+function getApiRateLimiter(req) {
+  let limiter = apiRateLimiters.get(req.ip);
+  if (!limiter) {
+    if (apiRateLimiters.size >= MAX_API_RATE_LIMITERS) apiRateLimiters.clear();
+    limiter = createRateLimiter(RATE_LIMIT);
+    apiRateLimiters.set(req.ip, limiter);
+  }
+  return limiter;
+}
+
+function limitApiRate(req, res, next) {
+  if (!getApiRateLimiter(req).take()) {
+    res.status(429).json({ error: 'Too many requests, please slow down' });
+    return;
+  }
+  next();
+}
+
+function requireApiCaller(req, res, next) {
+  req.caller = getApiCaller(req);
+  if (!req.caller) {
+    getApiRateLimiter(req).take(EVENT_COSTS.authenticate);
+    res.status(401).json({ error: 'Missing or invalid API key' });
+    return;
+  }
+  next();
+}
+
+function requireApiDM(req, res, next) {
+  if (req.caller.userRole !== 'dm') {
+    res.status(403).json({ error: 'Only DM can do this' });
+    return;
+  }
+  next();
+}
+
+// Wrap an async route so a thrown error becomes a 500 instead of a hung request
+function apiRoute(handler) {
+  return async (req, res) => {
     try {
-      await supabase.from('tokens').delete().eq('id', tokenId);
+      await handler(req, res);
     } catch (error) {
-      console.log('Supabase error:', error.message);
+      console.log('❌ API exception:', req.method, req.path, error.message);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Broadcast to all players
-    io.emit('token:removed', tokenId);
-  });
+  };
+}
 
-  // Handle faction stats creation/update (DM only)
-  socket.on('faction_stats:update', async (factionData) => {
-    console.log('📊 Faction stats update request received from', socket.id);
-    console.log('📊 User role:', socket.userRole, 'Is DM:', isDM(socket));
-    console.log('📊 Faction data received:', JSON.stringify(factionData, null, 2));
-    
-    if (!isDM(socket)) {
-      console.log('❌ Non-DM user attempted to update faction stats');
-      socket.emit('error', { message: 'Only DM can update faction stats' });
-      return;
-    }
-
-    try {
-      let updatedFaction;
-      const existingIndex = factionStats.findIndex(f => f.faction_name === factionData.faction_name);
-
-      if (existingIndex !== -1) {
-        // Update existing faction
-        console.log('📊 Updating existing faction at index:', existingIndex);
-        factionStats[existingIndex] = { ...factionStats[existingIndex], ...factionData };
-        updatedFaction = factionStats[existingIndex];
-        console.log('📊 Updated faction in memory:', JSON.stringify(updatedFaction, null, 2));
-
-        // Update in Supabase
-        console.log('📊 Updating faction in Supabase database...');
-        const { data, error } = await supabase.from('faction_stats')
-          .update({
-            current_hp: factionData.current_hp,
-            max_hp: factionData.max_hp,
-            force_stat: factionData.force_stat,
-            wealth_stat: factionData.wealth_stat,
-            cunning_stat: factionData.cunning_stat,
-            magic_stat: factionData.magic_stat,
-            treasure_stat: factionData.treasure_stat,
-            is_visible: factionData.is_visible
-          })
-          .eq('faction_name', factionData.faction_name)
-          .select()
-          .single();
+function sendApiResult(res, { data, error }, status = 200) {
+  if (error) {
+    res.status(error.status).json(error.code ? { error: error.message, code: error.code } : { error: error.message });
+  } else {
+    res.status(status).json(data);
+  }
+}
+
+// Check a request body against the schema of the socket event it stands in
+// for (lib/events.js). Sends a 400 and returns null when it doesn't fit.
+function readApiPayload(res, event, value, sceneId) {
+  const { data, error } = validate(EVENT_SCHEMAS[event], value, { mapSize: getSceneMapSize(sceneId) });
+  if (error) {
+    res.status(400).json({ error: error.message, field: error.field });
+    return null;
+  }
+  return data;
+}
+
+// The campaign or scene a route names, as the caller acting in it (the same
+// fields a socket has). Sends a 404 and returns null when there is none.
+function getApiCampaignActor(req, res) {
+  const campaign = getCampaign(Number(req.params.campaignId));
+  if (!campaign) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return null;
+  }
+  return { ...req.caller, campaignId: campaign.id, sceneId: getPlayerSceneId(campaign) };
+}
+
+function getApiSceneActor(req, res, sceneId = Number(req.params.sceneId)) {
+  const scene = getScene(sceneId);
+  const isReachable = scene && (req.caller.userRole === 'dm' || scene.id === getPlayerSceneId(getCampaign(scene.campaign_id)));
+  if (!isReachable) {
+    res.status(404).json({ error: 'Scene not found' });
+    return null;
+  }
+  return { ...req.caller, campaignId: scene.campaign_id, sceneId: scene.id };
+}
+
+const api = express.Router();
+api.use(requireApiEnabled, limitApiRate, requireApiCaller);
+
+// Every token the caller can see (players: the scenes players are in)
+api.get('/tokens', (req, res) => {
+  if (req.caller.userRole === 'dm') {
+    res.json(tokens);
+    return;
+  }
+  const playerSceneIds = campaigns.map(getPlayerSceneId);
+  res.json(tokensForClient(req.caller, tokens.filter(t => playerSceneIds.includes(t.scene_id))));
+});
+
+api.get('/campaigns', (req, res) => {
+  res.json(req.caller.userRole === 'dm'
+    ? campaigns
+    : campaigns.map(c => ({ id: c.id, name: c.name, player_scene_id: getPlayerSceneId(c) })));
+});
+
+api.get('/campaigns/:campaignId/export', requireApiDM, (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  sendApiResult(res, exportCampaign(actor.campaignId));
+});
+
+// Body: a bundle from the export; ?mode=replace clears the campaign first
+api.post('/campaigns/:campaignId/import', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  sendApiResult(res, await importCampaign(actor, req.body, req.query.mode || 'merge'));
+}));
+
+api.get('/campaigns/:campaignId/scenes', (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const campaignScenes = getCampaignScenes(actor.campaignId);
+  res.json(req.caller.userRole === 'dm' ? campaignScenes : campaignScenes.filter(s => s.id === actor.sceneId));
+});
 
-        if (error) {
-          console.log('❌ Supabase faction update error:', JSON.stringify(error, null, 2));
-        } else {
-          console.log('✅ Faction stats updated in database:', factionData.faction_name);
-          console.log('📊 Database response:', JSON.stringify(data, null, 2));
-        }
-      } else {
-        // Create new faction
-        console.log('📊 Creating new faction (not found in memory)');
-        const newFaction = {
-          id: factionStatsIdCounter++,
-          faction_name: factionData.faction_name,
-          current_hp: factionData.current_hp || 0,
-          max_hp: factionData.max_hp || 0,
-          force_stat: factionData.force_stat || 0,
-          wealth_stat: factionData.wealth_stat || 0,
-          cunning_stat: factionData.cunning_stat || 0,
-          magic_stat: factionData.magic_stat || 'None',
-          treasure_stat: factionData.treasure_stat || 0,
-          is_visible: factionData.is_visible || false
-        };
+api.get('/campaigns/:campaignId/factions', (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const campaignFactions = getCampaignFactionStats(actor.campaignId);
+  res.json(req.caller.userRole === 'dm' ? campaignFactions : campaignFactions.filter(f => f.is_visible === true));
+});
 
-        console.log('📊 New faction object:', JSON.stringify(newFaction, null, 2));
-        factionStats.push(newFaction);
-        updatedFaction = newFaction;
-        console.log('📊 Faction added to memory. Total factions:', factionStats.length);
+api.put('/campaigns/:campaignId/factions/:factionName', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'faction_stats:update', { ...req.body, faction_name: req.params.factionName });
+  if (!data) return;
+  sendApiResult(res, await saveFactionStats(actor, data));
+}));
 
-        // Insert into Supabase
-        console.log('📊 Inserting new faction into Supabase database...');
-        const { data, error } = await supabase.from('faction_stats')
-          .insert([newFaction])
-          .select()
-          .single();
+api.delete('/campaigns/:campaignId/factions/:factionName', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  sendApiResult(res, await deleteFactionStats(actor, req.params.factionName));
+}));
 
-        if (error) {
-          console.log('❌ Supabase faction insert error:', JSON.stringify(error, null, 2));
-        } else {
-          console.log('✅ New faction stats saved to database:', factionData.faction_name);
-          console.log('📊 Database response:', JSON.stringify(data, null, 2));
-        }
-      }
+api.get('/campaigns/:campaignId/movable-factions', (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  res.json(getCampaignMovableFactions(actor.campaignId));
+});
 
-      // Broadcast to all players (filter for player clients)
-      console.log('📊 Broadcasting faction update to all clients...');
-      let dmClients = 0, playerClients = 0, visibleToPlayers = 0;
-      
-      io.sockets.sockets.forEach((clientSocket) => {
-        if (clientSocket.isAuthenticated) {
-          if (clientSocket.userRole === 'dm') {
-            // DM always sees all factions
-            clientSocket.emit('faction_stats:updated', updatedFaction);
-            dmClients++;
-            console.log(`📊 Sent faction update to DM client: ${clientSocket.id}`);
-          } else if (clientSocket.userRole === 'player' && updatedFaction.is_visible) {
-            // Players only see visible factions
-            clientSocket.emit('faction_stats:updated', updatedFaction);
-            playerClients++;
-            visibleToPlayers++;
-            console.log(`📊 Sent faction update to player client: ${clientSocket.id}`);
-          } else if (clientSocket.userRole === 'player') {
-            playerClients++;
-            console.log(`📊 Faction not visible to player client: ${clientSocket.id}`);
-          }
-        }
-      });
-      
-      console.log(`📊 Broadcast summary - DM clients: ${dmClients}, Player clients: ${playerClients}, Visible to players: ${visibleToPlayers}`);
+api.put('/campaigns/:campaignId/movable-factions', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const configs = readApiPayload(res, 'movable_factions:update', req.body);
+  if (!configs) return;
+  sendApiResult(res, await updateMovableFactions(actor, configs));
+}));
 
-    } catch (error) {
-      console.log('Faction stats update exception:', error.message);
-      socket.emit('error', { message: 'Failed to update faction stats' });
-    }
-  });
+// A page of the campaign's chat the caller may see: the newest messages, or
+// the ones before the message id `?before=`
+api.get('/campaigns/:campaignId/chat', (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const before = parseInt(req.query.before, 10);
+  const limit = parseInt(req.query.limit, 10);
+  res.json(getCampaignChatPage(actor.campaignId, req.caller, Number.isInteger(before) ? before : null, Number.isInteger(limit) ? limit : undefined));
+});
 
-  // Handle faction stats deletion (DM only)
-  socket.on('faction_stats:delete', async (factionName) => {
-    if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can delete faction stats' });
-      return;
-    }
+api.post('/campaigns/:campaignId/chat', apiRoute(async (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'chat:send', req.body);
+  if (!data) return;
+  sendApiResult(res, await sendChatMessage(actor, data), 201);
+}));
 
-    try {
-      // Remove from memory
-      factionStats = factionStats.filter(f => f.faction_name !== factionName);
+// The latest entries of the campaign's session log
+api.get('/campaigns/:campaignId/session-log', requireApiDM, (req, res) => {
+  const actor = getApiCampaignActor(req, res);
+  if (!actor) return;
+  res.json(getCampaignSessionLog(actor.campaignId));
+});
 
-      // Remove from Supabase
-      await supabase.from('faction_stats').delete().eq('faction_name', factionName);
-      console.log('✅ Faction stats deleted:', factionName);
+api.get('/scenes/:sceneId/tokens', (req, res) => {
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  res.json(tokensForClient(req.caller, getSceneTokens(actor.sceneId)));
+});
 
-      // Broadcast to all players
-      io.emit('faction_stats:deleted', factionName);
+// Place one token, or several at once when the body is a list
+api.post('/scenes/:sceneId/tokens', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  if (!Array.isArray(req.body)) {
+    const data = readApiPayload(res, 'token:place', req.body, actor.sceneId);
+    if (!data) return;
+    sendApiResult(res, await placeToken(actor, data), 201);
+    return;
+  }
+  // Check every token before placing any
+  const list = [];
+  for (const item of req.body) {
+    const data = readApiPayload(res, 'token:place', item, actor.sceneId);
+    if (!data) return;
+    list.push(data);
+  }
+  const placed = [];
+  for (const data of list) {
+    placed.push((await placeToken(actor, data)).data);
+  }
+  res.status(201).json(placed);
+}));
 
-    } catch (error) {
-      console.log('Faction stats delete exception:', error.message);
-      socket.emit('error', { message: 'Failed to delete faction stats' });
-    }
-  });
+// Change a token; a new x/y moves it like a drag on the map would, along
+// `waypoints` when given. Players may do so with their own tokens, as far as
+// lib/ownership.js allows.
+api.patch('/tokens/:tokenId', apiRoute(async (req, res) => {
+  const token = tokens.find(t => t.id === Number(req.params.tokenId));
+  if (!token) {
+    res.status(404).json({ error: 'Token not found' });
+    return;
+  }
+  const actor = getApiSceneActor(req, res, token.scene_id);
+  if (!actor) return;
 
-  // Handle move proposal creation (Player only)
-  socket.on('move_proposal:create', async (proposalData) => {
-    console.log('🎯 Move proposal request received from', socket.id);
-    console.log('🎯 User role:', socket.userRole);
-    console.log('🎯 Proposal data:', JSON.stringify(proposalData, null, 2));
-    
-    if (socket.userRole !== 'player') {
-      console.log('❌ Non-player user attempted to create move proposal');
-      socket.emit('error', { message: 'Only players can create move proposals' });
+  const { x = token.x, y = token.y, waypoints, ...fields } = req.body || {};
+  const position = readApiPayload(res, 'token:move', { tokenId: token.id, x, y, waypoints }, token.scene_id);
+  if (!position) return;
+  const { id, ...changes } = readApiPayload(res, 'token:update', { ...fields, id: token.id }, token.scene_id) || {};
+  if (!id) return;
+  const isDMActor = actor.userRole === 'dm';
+  if (position.x !== token.x || position.y !== token.y) {
+    const { error } = isDMActor
+      ? await moveToken(actor, token.id, position.x, position.y, position.waypoints)
+      : await moveOwnToken(actor, token.id, position.x, position.y, position.waypoints);
+    if (error) {
+      sendApiResult(res, { error });
+      return;
+    }
+  }
+  if (Object.keys(changes).length > 0) {
+    const { error } = isDMActor
+      ? await updateToken(actor, { ...changes, id: token.id })
+      : await updateOwnToken(actor, { ...changes, id: token.id });
+    if (error) {
+      sendApiResult(res, { error });
       return;
     }
+  }
+  res.json(tokenForClient(req.caller, tokens.find(t => t.id === token.id)));
+}));
 
-    try {
-      // Remove any existing proposal for this token
-      await supabase.from('move_proposals').delete().eq('token_id', proposalData.token_id);
-      moveProposals = moveProposals.filter(p => p.token_id !== proposalData.token_id);
+api.delete('/tokens/:tokenId', requireApiDM, apiRoute(async (req, res) => {
+  const token = tokens.find(t => t.id === Number(req.params.tokenId));
+  const actor = token ? getApiSceneActor(req, res, token.scene_id) : { ...req.caller };
+  if (!actor) return;
+  sendApiResult(res, await removeToken(actor, Number(req.params.tokenId)));
+}));
 
-      const newProposal = {
-        token_id: proposalData.token_id,
-        original_x: proposalData.original_x,
-        original_y: proposalData.original_y,
-        proposed_x: proposalData.proposed_x,
-        proposed_y: proposalData.proposed_y,
-        proposed_by_session: socket.id
-      };
+// Open proposals; `?all=true` adds the approved, rejected and cancelled ones
+api.get('/scenes/:sceneId/proposals', (req, res) => {
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  res.json(proposalsForClient(req.caller, getSceneProposals(actor.sceneId, req.query.all === 'true')));
+});
 
-      // Insert into Supabase
-      const { data, error } = await supabase.from('move_proposals')
-        .insert([newProposal])
-        .select()
-        .single();
+api.post('/scenes/:sceneId/proposals', apiRoute(async (req, res) => {
+  if (req.caller.userRole !== 'player') {
+    res.status(403).json({ error: 'Only players can create move proposals' });
+    return;
+  }
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'move_proposal:create', req.body, actor.sceneId);
+  if (!data) return;
+  sendApiResult(res, await createMoveProposal(actor, data), 201);
+}));
 
-      if (error) {
-        console.log('❌ Supabase move proposal insert error:', JSON.stringify(error, null, 2));
-        socket.emit('error', { message: 'Failed to create move proposal' });
-        return;
-      }
+api.post('/proposals/:proposalId/approve', requireApiDM, apiRoute(async (req, res) => {
+  const proposal = moveProposals.find(p => p.id === Number(req.params.proposalId));
+  const actor = proposal ? getApiSceneActor(req, res, proposal.scene_id) : { ...req.caller };
+  if (!actor) return;
+  const override = !!(req.body && req.body.override === true);
+  sendApiResult(res, await approveMoveProposal(actor, Number(req.params.proposalId), override));
+}));
 
-      console.log('✅ Move proposal created:', JSON.stringify(data, null, 2));
-      moveProposals.push(data);
+// The caller acting in the scene of the proposal a route names
+function getApiProposalActor(req, res) {
+  const proposal = moveProposals.find(p => p.id === Number(req.params.proposalId));
+  if (!proposal) {
+    res.status(404).json({ error: 'Proposal not found' });
+    return null;
+  }
+  return getApiSceneActor(req, res, proposal.scene_id);
+}
 
-      // Broadcast to all clients
-      io.emit('move_proposal:created', data);
+// The DM rejects a proposal, a player cancels their own; a body of
+// { reason } says why
+api.delete('/proposals/:proposalId', apiRoute(async (req, res) => {
+  const actor = getApiProposalActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'move_proposal:reject', { ...req.body, id: Number(req.params.proposalId) }, actor.sceneId);
+  if (!data) return;
+  sendApiResult(res, await rejectMoveProposal(actor, data.id, (data.reason || '').trim()));
+}));
 
-    } catch (error) {
-      console.log('❌ Move proposal creation exception:', error.message);
-      socket.emit('error', { message: 'Failed to create move proposal' });
-    }
-  });
+api.post('/proposals/:proposalId/comments', apiRoute(async (req, res) => {
+  const actor = getApiProposalActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'move_proposal:comment', { ...req.body, id: Number(req.params.proposalId) }, actor.sceneId);
+  if (!data) return;
+  sendApiResult(res, await commentOnProposal(actor, data.id, data.text), 201);
+}));
 
-  // Handle move proposal update (Player only - for dragging ghosts)
-  socket.on('move_proposal:update', async (proposalData) => {
-    console.log('🎯 Move proposal update request from', socket.id);
-    console.log('🎯 Update data:', JSON.stringify(proposalData, null, 2));
-    
-    if (socket.userRole !== 'player') {
-      console.log('❌ Non-player user attempted to update move proposal');
-      socket.emit('error', { message: 'Only players can update move proposals' });
-      return;
-    }
+api.post('/proposals/:proposalId/counter', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiProposalActor(req, res);
+  if (!actor) return;
+  const { id, ...counter } = readApiPayload(res, 'move_proposal:counter', { ...req.body, id: Number(req.params.proposalId) }, actor.sceneId) || {};
+  if (!id) return;
+  sendApiResult(res, await counterMoveProposal(actor, id, counter));
+}));
 
-    try {
-      // Find existing proposal for this token
-      const existingProposalIndex = moveProposals.findIndex(p => p.token_id === proposalData.token_id);
-      
-      if (existingProposalIndex !== -1) {
-        // Update existing proposal
-        moveProposals[existingProposalIndex].proposed_x = proposalData.proposed_x;
-        moveProposals[existingProposalIndex].proposed_y = proposalData.proposed_y;
-        
-        // Update in database
-        await supabase.from('move_proposals')
-          .update({ 
-            proposed_x: proposalData.proposed_x, 
-            proposed_y: proposalData.proposed_y 
-          })
-          .eq('token_id', proposalData.token_id);
-        
-        // Broadcast updated proposal
-        io.emit('move_proposal:updated', moveProposals[existingProposalIndex]);
-        console.log('✅ Move proposal updated:', proposalData.token_id);
-      } else {
-        console.log('❌ No existing proposal found for token:', proposalData.token_id);
-        socket.emit('error', { message: 'No existing proposal found' });
-      }
+api.post('/proposals/:proposalId/accept', apiRoute(async (req, res) => {
+  if (req.caller.userRole !== 'player') {
+    res.status(403).json({ error: 'Only players can accept counter-proposals' });
+    return;
+  }
+  const actor = getApiProposalActor(req, res);
+  if (!actor) return;
+  sendApiResult(res, await acceptCounterProposal(actor, Number(req.params.proposalId)));
+}));
 
-    } catch (error) {
-      console.log('❌ Move proposal update exception:', error.message);
-      socket.emit('error', { message: 'Failed to update move proposal' });
-    }
-  });
+api.get('/scenes/:sceneId/annotations', (req, res) => {
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  res.json(getSceneAnnotations(actor.sceneId, req.caller.userRole !== 'dm'));
+});
 
-  // Handle move proposal approval (DM only)
-  socket.on('move_proposal:approve', async (proposalId) => {
-    console.log('🎯 Move proposal approval request from', socket.id, 'for proposal', proposalId);
-    
-    if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can approve move proposals' });
-      return;
-    }
+api.post('/scenes/:sceneId/annotations', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiSceneActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'annotation:create', req.body, actor.sceneId);
+  if (!data) return;
+  sendApiResult(res, await createAnnotation(actor, data), 201);
+}));
 
-    try {
-      const proposal = moveProposals.find(p => p.id === proposalId);
-      if (!proposal) {
-        socket.emit('error', { message: 'Proposal not found' });
-        return;
-      }
+// The caller acting in the scene of the annotation a route names
+function getApiAnnotationActor(req, res) {
+  const annotation = annotations.find(a => a.id === Number(req.params.annotationId));
+  if (!annotation) {
+    res.status(404).json({ error: 'Annotation not found' });
+    return null;
+  }
+  return getApiSceneActor(req, res, annotation.scene_id);
+}
 
-      // Move the actual token
-      const tokenIndex = tokens.findIndex(t => t.id === proposal.token_id);
-      if (tokenIndex !== -1) {
-        tokens[tokenIndex].x = proposal.proposed_x;
-        tokens[tokenIndex].y = proposal.proposed_y;
-        
-        // Update in Supabase
-        await supabase.from('tokens')
-          .update({ x: proposal.proposed_x, y: proposal.proposed_y })
-          .eq('id', proposal.token_id);
-
-        // Broadcast token movement
-        const updatedToken = tokens[tokenIndex];
-        io.sockets.sockets.forEach((clientSocket) => {
-          if (clientSocket.isAuthenticated) {
-            if (clientSocket.userRole === 'dm' || updatedToken.visible_to_players !== false) {
-              clientSocket.emit('token:moved', {
-                tokenId: proposal.token_id,
-                x: proposal.proposed_x,
-                y: proposal.proposed_y
-              });
-            }
-          }
-        });
-      }
+api.patch('/annotations/:annotationId', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiAnnotationActor(req, res);
+  if (!actor) return;
+  const data = readApiPayload(res, 'annotation:update', { ...req.body, id: Number(req.params.annotationId) }, actor.sceneId);
+  if (!data) return;
+  sendApiResult(res, await updateAnnotation(actor, data));
+}));
 
-      // Remove the proposal
-      await supabase.from('move_proposals').delete().eq('id', proposalId);
-      moveProposals = moveProposals.filter(p => p.id !== proposalId);
+api.delete('/annotations/:annotationId', requireApiDM, apiRoute(async (req, res) => {
+  const actor = getApiAnnotationActor(req, res);
+  if (!actor) return;
+  sendApiResult(res, await deleteAnnotation(actor, Number(req.params.annotationId)));
+}));
 
-      // Broadcast proposal removal
-      io.emit('move_proposal:approved', proposalId);
-      console.log('✅ Move proposal approved and executed:', proposalId);
+app.use('/api', api);
 
-    } catch (error) {
-      console.log('❌ Move proposal approval exception:', error.message);
-      socket.emit('error', { message: 'Failed to approve move proposal' });
-    }
+// Image files in MAPS_DIR that scenes can use as their map
+function listMapImages() {
+  try {
+    return fs.readdirSync(MAPS_DIR)
+      .filter(file => MAP_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+  } catch (error) {
+    console.log('❌ Could not list map images:', error.message);
+    return [];
+  }
+}
+
+// Map metadata for a scene's map image, preparing its tiles on first use
+function getMapInfo(mapImage) {
+  if (!mapInfos.has(mapImage)) {
+    mapInfos.set(mapImage, { tiled: false, url: '/maps/' + encodeURIComponent(mapImage) });
+    prepareMapTiles(mapImage);
+  }
+  return mapInfos.get(mapImage);
+}
+
+// Send updated map metadata to every scene that uses the image
+function broadcastMapInfo(mapImage) {
+  scenes.filter(scene => scene.map_image === mapImage).forEach((scene) => {
+    io.to(sceneRoom(scene.id)).emit('map:info', mapInfos.get(mapImage));
   });
+}
 
-  // Handle move proposal rejection (DM only)
-  socket.on('move_proposal:reject', async (proposalId) => {
-    console.log('🎯 Move proposal rejection request from', socket.id, 'for proposal', proposalId);
-    
-    if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can reject move proposals' });
-      return;
-    }
+// Build a map's tile pyramid in the background and tell clients once it is
+// ready. Pyramids are built one at a time to keep memory use down.
+function prepareMapTiles(mapImage) {
+  const sourcePath = path.join(MAPS_DIR, mapImage);
 
+  tileQueue = tileQueue.then(async () => {
     try {
-      // Remove the proposal
-      await supabase.from('move_proposals').delete().eq('id', proposalId);
-      moveProposals = moveProposals.filter(p => p.id !== proposalId);
-
-      // Broadcast proposal removal
-      io.emit('move_proposal:rejected', proposalId);
-      console.log('✅ Move proposal rejected:', proposalId);
+      mapInfos.set(mapImage, { ...mapInfos.get(mapImage), ...(await readMapSize(sourcePath)) });
+      broadcastMapInfo(mapImage);
 
+      const info = await ensureTilePyramid(sourcePath, TILES_DIR);
+      mapInfos.set(mapImage, {
+        tiled: true,
+        url: '/tiles/' + path.basename(getPyramidDir(sourcePath, TILES_DIR)) + '/map_files',
+        width: info.width,
+        height: info.height,
+        tileSize: info.tileSize,
+        maxLevel: info.maxLevel,
+        format: info.format
+      });
+      broadcastMapInfo(mapImage);
     } catch (error) {
-      console.log('❌ Move proposal rejection exception:', error.message);
-      socket.emit('error', { message: 'Failed to reject move proposal' });
+      console.log(`❌ Could not prepare tiles for ${mapImage}, serving the full image instead:`, error.message);
     }
   });
+}
 
-  // Handle move proposal cancellation (Player only - for their own proposals)
-  socket.on('move_proposal:cancel', async (proposalId) => {
-    console.log('🎯 Move proposal cancellation request from', socket.id, 'for proposal', proposalId);
-    
-    if (socket.userRole !== 'player') {
-      socket.emit('error', { message: 'Only players can cancel move proposals' });
-      return;
-    }
+// Insert a campaign together with its first scene
+async function createCampaign(name, mapImage = path.basename(MAP_IMAGE)) {
+  const { data, error } = await storage.insert('campaigns', [{
+    name,
+    player_scene_id: null,
+    current_turn: 1,
+    turn_order: [],
+    active_turn_index: null,
+    end_of_phase: 'keep',
+    created_at: new Date().toISOString()
+  }]);
+  if (error) {
+    console.log('❌ Storage campaign insert error:', JSON.stringify(error, null, 2));
+    return null;
+  }
 
-    try {
-      // Remove the proposal
-      await supabase.from('move_proposals').delete().eq('id', proposalId);
-      moveProposals = moveProposals.filter(p => p.id !== proposalId);
+  const campaign = data[0];
+  campaigns.push(campaign);
 
-      // Broadcast proposal removal
-      io.emit('move_proposal:rejected', proposalId);
-      console.log('✅ Move proposal cancelled by player:', proposalId);
+  const scene = await createScene(campaign.id, 'Main Map', mapImage);
+  if (scene) {
+    campaign.player_scene_id = scene.id;
+    await storage.update('campaigns', { id: campaign.id }, { player_scene_id: scene.id });
+  }
+  return campaign;
+}
 
-    } catch (error) {
-      console.log('❌ Move proposal cancellation exception:', error.message);
-      socket.emit('error', { message: 'Failed to cancel move proposal' });
-    }
-  });
+async function createScene(campaignId, name, mapImage) {
+  const { data, error } = await storage.insert('scenes', [{
+    campaign_id: campaignId,
+    name,
+    map_image: mapImage,
+    fog_enabled: false,
+    map_scale: null,
+    created_at: new Date().toISOString()
+  }]);
+  if (error) {
+    console.log('❌ Storage scene insert error:', JSON.stringify(error, null, 2));
+    return null;
+  }
 
-  // Handle clearing all move proposals (DM only)  
-  socket.on('move_proposals:clear_all', async () => {
-    console.log('🎯 Clear all proposals request from', socket.id);
-    
-    if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can clear all proposals' });
-      return;
-    }
+  scenes.push(data[0]);
+  return data[0];
+}
 
-    try {
-      // Remove all proposals from database
-      await supabase.from('move_proposals').delete().neq('id', 0); // Delete all
-      moveProposals = [];
+// Load campaigns and scenes from storage on startup, creating a default
+// campaign the first time the server runs
+async function loadCampaignsFromDatabase() {
+  try {
+    console.log('🗺️ Loading campaigns and scenes from storage...');
+    const campaignsResult = await storage.select('campaigns');
+    const scenesResult = await storage.select('scenes');
 
-      // Broadcast to all clients
-      io.emit('move_proposals:cleared');
-      console.log('✅ All move proposals cleared');
+    if (campaignsResult.error || scenesResult.error) {
+      console.log('❌ Could not load campaigns:', (campaignsResult.error || scenesResult.error).message);
+    }
+    campaigns = campaignsResult.data || [];
+    scenes = scenesResult.data || [];
 
-    } catch (error) {
-      console.log('❌ Clear all proposals exception:', error.message);
-      socket.emit('error', { message: 'Failed to clear all proposals' });
+    // Every campaign needs at least one scene to put players in
+    for (const campaign of campaigns) {
+      if (getCampaignScenes(campaign.id).length === 0) {
+        const scene = await createScene(campaign.id, 'Main Map', path.basename(MAP_IMAGE));
+        if (scene) {
+          campaign.player_scene_id = scene.id;
+          await storage.update('campaigns', { id: campaign.id }, { player_scene_id: scene.id });
+        }
+      }
     }
-  });
 
-  // Handle movable factions configuration (DM only)
-  socket.on('movable_factions:update', async (factionsConfig) => {
-    console.log('🎯 Movable factions update from', socket.id);
-    console.log('🎯 Factions config:', JSON.stringify(factionsConfig, null, 2));
-    
-    if (!isDM(socket)) {
-      socket.emit('error', { message: 'Only DM can configure movable factions' });
-      return;
+    if (campaigns.length === 0) {
+      await createCampaign('Campaign');
     }
 
-    try {
-      // Clear existing config
-      await supabase.from('movable_factions').delete().neq('id', 0);
-      
-      // Insert new config
-      if (factionsConfig.length > 0) {
-        await supabase.from('movable_factions').insert(factionsConfig);
-      }
+    // In-memory fallback if storage is unavailable
+    if (campaigns.length === 0) {
+      campaigns = [{ id: 1, name: 'Campaign', player_scene_id: 1 }];
+      scenes = [{ id: 1, campaign_id: 1, name: 'Main Map', map_image: path.basename(MAP_IMAGE) }];
+    }
 
-      movableFactionsConfig = factionsConfig;
+    console.log(`✅ Loaded ${campaigns.length} campaigns and ${scenes.length} scenes`);
+  } catch (error) {
+    console.log('❌ Could not load campaigns from storage:', error.message);
+  }
+}
 
-      // Broadcast to all clients
-      io.emit('movable_factions:updated', factionsConfig);
-      console.log('✅ Movable factions configuration updated');
+// Rows saved before campaigns existed belong to the first campaign and scene
+async function adoptOrphanRows(table, rows, column, value) {
+  const orphans = rows.filter(row => !row[column]);
+  for (const row of orphans) {
+    row[column] = value;
+    await storage.update(table, { id: row.id }, { [column]: value });
+  }
+  if (orphans.length > 0) {
+    console.log(`🗺️ Assigned ${orphans.length} ${table} rows to ${column} ${value}`);
+  }
+}
 
-    } catch (error) {
-      console.log('❌ Movable factions update exception:', error.message);
-      socket.emit('error', { message: 'Failed to update movable factions' });
-    }
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Player disconnected:', socket.id);
-  });
-});
+async function adoptLegacyData() {
+  const defaultCampaign = campaigns[0];
+  const defaultSceneId = defaultCampaign.player_scene_id || getCampaignScenes(defaultCampaign.id)[0].id;
 
-// API endpoints
-app.get('/api/tokens', (req, res) => {
-  res.json(tokens);
-});
+  await adoptOrphanRows('tokens', tokens, 'scene_id', defaultSceneId);
+  await adoptOrphanRows('move_proposals', moveProposals, 'scene_id', defaultSceneId);
+  await adoptOrphanRows('faction_stats', factionStats, 'campaign_id', defaultCampaign.id);
+  await adoptOrphanRows('movable_factions', movableFactionsConfig, 'campaign_id', defaultCampaign.id);
+}
 
-// Load tokens from Supabase on startup
+// Load tokens from storage on startup
 async function loadTokensFromDatabase() {
   try {
-    const { data, error } = await supabase.from('tokens').select('*');
+    const { data, error } = await storage.select('tokens');
+    if (error) {
+      console.log(`⚠️ Could not load tokens from ${storage.name} storage:`, error.message);
+      console.log('⚠️ Changes made now may not be saved. Set STORAGE=file to play without a network connection.');
+    }
     if (data && !error) {
       // Ensure all tokens have proper visibility defaults
       tokens = data.map(token => ({
@@ -697,18 +3991,18 @@ async function loadTokensFromDatabase() {
       console.log('Token visibility states:', tokens.map(t => ({ name: t.name, visible: t.visible_to_players })));
     }
   } catch (error) {
-    console.log('Could not load from Supabase, starting fresh:', error.message);
+    console.log('Could not load from storage, starting fresh:', error.message);
   }
 }
 
-// Load faction stats from Supabase on startup
+// Load faction stats from storage on startup
 async function loadFactionStatsFromDatabase() {
   try {
-    console.log('📊 Loading faction stats from Supabase database...');
-    const { data, error } = await supabase.from('faction_stats').select('*');
+    console.log('📊 Loading faction stats from storage...');
+    const { data, error } = await storage.select('faction_stats');
     
-    console.log('📊 Supabase response - Data:', data);
-    console.log('📊 Supabase response - Error:', error);
+    console.log('📊 Storage response - Data:', data);
+    console.log('📊 Storage response - Error:', error);
     
     if (data && !error) {
       factionStats = data.map(faction => ({
@@ -724,18 +4018,18 @@ async function loadFactionStatsFromDatabase() {
       console.log('📊 No faction stats data returned or error occurred');
     }
   } catch (error) {
-    console.log('❌ Could not load faction stats from Supabase, starting fresh:', error.message);
+    console.log('❌ Could not load faction stats from storage, starting fresh:', error.message);
     console.log('❌ Full error:', JSON.stringify(error, null, 2));
   }
 }
 
 const PORT = process.env.PORT || 3000;
 
-// Load move proposals from Supabase on startup
+// Load move proposals from storage on startup
 async function loadMoveProposalsFromDatabase() {
   try {
-    console.log('🎯 Loading move proposals from Supabase database...');
-    const { data, error } = await supabase.from('move_proposals').select('*');
+    console.log('🎯 Loading move proposals from storage...');
+    const { data, error } = await storage.select('move_proposals');
     
     if (data && !error) {
       moveProposals = data;
@@ -745,15 +4039,15 @@ async function loadMoveProposalsFromDatabase() {
       console.log('🎯 No move proposals data returned or error occurred');
     }
   } catch (error) {
-    console.log('❌ Could not load move proposals from Supabase:', error.message);
+    console.log('❌ Could not load move proposals from storage:', error.message);
   }
 }
 
-// Load movable factions configuration from Supabase on startup
+// Load movable factions configuration from storage on startup
 async function loadMovableFactionsFromDatabase() {
   try {
-    console.log('🎯 Loading movable factions config from Supabase database...');
-    const { data, error } = await supabase.from('movable_factions').select('*');
+    console.log('🎯 Loading movable factions config from storage...');
+    const { data, error } = await storage.select('movable_factions');
     
     if (data && !error) {
       movableFactionsConfig = data;
@@ -763,7 +4057,141 @@ async function loadMovableFactionsFromDatabase() {
       console.log('🎯 No movable factions config returned or error occurred');
     }
   } catch (error) {
-    console.log('❌ Could not load movable factions from Supabase:', error.message);
+    console.log('❌ Could not load movable factions from storage:', error.message);
+  }
+}
+
+// Load revealed fog of war areas from storage on startup
+async function loadFogRegionsFromDatabase() {
+  try {
+    console.log('🌫️ Loading fog of war from storage...');
+    const { data, error } = await storage.select('fog_regions');
+
+    if (data && !error) {
+      fogRegions = data;
+      console.log(`✅ Loaded ${fogRegions.length} revealed fog areas from database`);
+    } else {
+      console.log('🌫️ No fog of war data returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load fog of war from storage:', error.message);
+  }
+}
+
+// Load chat messages and map events from storage on startup
+async function loadChatMessagesFromDatabase() {
+  try {
+    console.log('💬 Loading chat from storage...');
+    const { data, error } = await storage.select('chat_messages');
+
+    if (data && !error) {
+      chatMessages = data.sort((a, b) => a.id - b.id);
+      console.log(`✅ Loaded ${chatMessages.length} chat messages from database`);
+    } else {
+      console.log('💬 No chat messages returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load chat from storage:', error.message);
+  }
+}
+
+// Load the session logs from storage on startup
+async function loadSessionLogFromDatabase() {
+  try {
+    console.log('📜 Loading session logs from storage...');
+    const { data, error } = await storage.select('session_log');
+
+    if (data && !error) {
+      sessionLog = data;
+      console.log(`✅ Loaded ${sessionLog.length} session log entries from database`);
+    } else {
+      console.log('📜 No session log returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load session logs from storage:', error.message);
+  }
+}
+
+// Load map annotations from storage on startup
+async function loadAnnotationsFromDatabase() {
+  try {
+    console.log('🗺️ Loading map annotations from storage...');
+    const { data, error } = await storage.select('annotations');
+
+    if (data && !error) {
+      annotations = data;
+      console.log(`✅ Loaded ${annotations.length} map annotations from database`);
+    } else {
+      console.log('🗺️ No map annotations returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load map annotations from storage:', error.message);
+  }
+}
+
+// Load the token icon library from storage on startup
+async function loadIconsFromDatabase() {
+  try {
+    const { data, error } = await storage.select('icons');
+
+    if (data && !error) {
+      iconLibrary = data;
+      console.log(`✅ Loaded ${iconLibrary.length} token icons from database`);
+    } else {
+      console.log('🖼️ No token icons returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load token icons from storage:', error.message);
+  }
+}
+
+// Load the movement timeline from storage on startup
+async function loadTokenMovesFromDatabase() {
+  try {
+    console.log('🗺️ Loading movement timeline from storage...');
+    const { data, error } = await storage.select('token_moves');
+
+    if (data && !error) {
+      tokenMoves = data.sort((a, b) => a.id - b.id);
+      console.log(`✅ Loaded ${tokenMoves.length} token moves from database`);
+    } else {
+      console.log('🗺️ No movement timeline returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load movement timeline from storage:', error.message);
+  }
+}
+
+// Load player accounts and their sessions from storage on startup
+async function loadPlayerAccountsFromDatabase() {
+  try {
+    console.log('👤 Loading player accounts from storage...');
+    const accountsResult = await storage.select('players');
+    const sessionsResult = await storage.select('player_sessions');
+
+    if (accountsResult.data && !accountsResult.error) {
+      playerAccounts = accountsResult.data;
+      playerSessions = (sessionsResult.data || []).filter(s => getPlayerAccount(s.player_id));
+      console.log(`✅ Loaded ${playerAccounts.length} player accounts and ${playerSessions.length} sessions from database`);
+    } else {
+      console.log('👤 No player accounts returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load player accounts from storage:', error.message);
+  }
+}
+
+// Load the DM action history (undo/redo) from storage on startup
+async function loadActionHistoryFromDatabase() {
+  try {
+    const { data, error } = await history.load();
+    if (data && !error) {
+      console.log(`✅ Loaded ${data.length} history entries from database`);
+    } else {
+      console.log('↩️ No action history returned or error occurred');
+    }
+  } catch (error) {
+    console.log('❌ Could not load action history from storage:', error.message);
   }
 }
 
@@ -773,6 +4201,7 @@ async function insertTestFactionData() {
   
   const testFactions = [
     {
+      campaign_id: campaigns[0].id,
       faction_name: 'The Iron Legion',
       current_hp: 85,
       max_hp: 100,
@@ -784,6 +4213,7 @@ async function insertTestFactionData() {
       is_visible: true
     },
     {
+      campaign_id: campaigns[0].id,
       faction_name: 'Shadowmere Guild',
       current_hp: 60,
       max_hp: 80,
@@ -795,6 +4225,7 @@ async function insertTestFactionData() {
       is_visible: true
     },
     {
+      campaign_id: campaigns[0].id,
       faction_name: 'Crystal Order',
       current_hp: 95,
       max_hp: 100,
@@ -806,6 +4237,7 @@ async function insertTestFactionData() {
       is_visible: false
     },
     {
+      campaign_id: campaigns[0].id,
       faction_name: 'Crimson Mercenaries',
       current_hp: 40,
       max_hp: 75,
@@ -822,21 +4254,17 @@ async function insertTestFactionData() {
     for (const faction of testFactions) {
       console.log(`📊 Inserting test faction: ${faction.faction_name}`);
       
-      const { data, error } = await supabase
-        .from('faction_stats')
-        .insert([faction])
-        .select()
-        .single();
+      const { data, error } = await storage.insert('faction_stats', [faction]);
 
       if (error) {
         console.log(`❌ Failed to insert ${faction.faction_name}:`, JSON.stringify(error, null, 2));
       } else {
-        console.log(`✅ Successfully inserted ${faction.faction_name}:`, JSON.stringify(data, null, 2));
+        console.log(`✅ Successfully inserted ${faction.faction_name}:`, JSON.stringify(data[0], null, 2));
         
         // Add to memory array too
         factionStats.push({
-          ...data,
-          is_visible: data.is_visible === true
+          ...data[0],
+          is_visible: data[0].is_visible === true
         });
       }
     }
@@ -856,12 +4284,22 @@ async function insertTestFactionData() {
 }
 
 // Initialize and start server
-Promise.all([
+loadCampaignsFromDatabase().then(() => Promise.all([
   loadTokensFromDatabase(),
   loadFactionStatsFromDatabase(),
   loadMoveProposalsFromDatabase(),
-  loadMovableFactionsFromDatabase()
-]).then(async () => {
+  loadMovableFactionsFromDatabase(),
+  loadFogRegionsFromDatabase(),
+  loadAnnotationsFromDatabase(),
+  loadSessionLogFromDatabase(),
+  loadChatMessagesFromDatabase(),
+  loadTokenMovesFromDatabase(),
+  loadIconsFromDatabase(),
+  loadPlayerAccountsFromDatabase(),
+  loadActionHistoryFromDatabase()
+])).then(async () => {
+  await adoptLegacyData();
+  
   // Uncomment the line below to insert test data on server startup
   // await insertTestFactionData();
   
@@ -870,4 +4308,10 @@ Promise.all([
     console.log(`Open http://localhost:${PORT} to view the map`);
     console.log('💡 To insert test faction data, uncomment the insertTestFactionData() line in server.js');
   });
+  
+  // Start on the tiles for the maps players are currently looking at
+  campaigns.forEach((campaign) => {
+    const scene = getScene(campaign.player_scene_id);
+    if (scene) getMapInfo(scene.map_image);
+  });
 });
\ No newline at end of file
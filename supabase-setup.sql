@@ -1,6 +1,85 @@
+-- Create campaigns table; each campaign has its own factions and scenes
+CREATE TABLE IF NOT EXISTS campaigns (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    player_scene_id INTEGER, -- Scene players join when they connect
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- In-game turn, stamped on every token move
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS current_turn INTEGER NOT NULL DEFAULT 1;
+
+-- Faction turn tracker: factions act in turn_order, one phase each;
+-- active_turn_index is NULL while the tracker is stopped
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS turn_order JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS active_turn_index INTEGER;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS end_of_phase VARCHAR(10) NOT NULL DEFAULT 'keep'; -- keep, clear or approve
+
+-- Enable Row Level Security for campaigns
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for campaigns
+CREATE POLICY "Allow all operations on campaigns" ON campaigns
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create scenes table; each scene has its own map image, tokens and proposals
+CREATE TABLE IF NOT EXISTS scenes (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    map_image VARCHAR(255) NOT NULL, -- File name in MAPS_DIR
+    fog_enabled BOOLEAN NOT NULL DEFAULT false,
+    map_scale JSONB, -- { pixels, distance, unit, speeds, hours_per_day }; null until the DM calibrates
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS fog_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS map_scale JSONB;
+CREATE INDEX IF NOT EXISTS idx_scenes_campaign ON scenes(campaign_id);
+
+-- Enable Row Level Security for scenes
+ALTER TABLE scenes ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for scenes
+CREATE POLICY "Allow all operations on scenes" ON scenes
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create players table for named player accounts. The DM creates an account
+-- with an invite code; the player claims it by choosing a password.
+CREATE TABLE IF NOT EXISTS players (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    password_hash TEXT, -- scrypt hash, NULL until the invite is claimed
+    invite_code VARCHAR(16) UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security for players
+ALTER TABLE players ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for players
+CREATE POLICY "Allow all operations on players" ON players
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create player_sessions table so players stay logged in across reconnects
+CREATE TABLE IF NOT EXISTS player_sessions (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the session token
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security for player_sessions
+ALTER TABLE player_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for player_sessions
+CREATE POLICY "Allow all operations on player_sessions" ON player_sessions
+    FOR ALL USING (true) WITH CHECK (true);
+
 -- Create tokens table for D&D map
 CREATE TABLE IF NOT EXISTS tokens (
     id INTEGER PRIMARY KEY,
+    scene_id INTEGER,
     x INTEGER NOT NULL,
     y INTEGER NOT NULL,
     name VARCHAR(255) NOT NULL,
@@ -12,10 +91,16 @@ CREATE TABLE IF NOT EXISTS tokens (
     counterattack VARCHAR(50) DEFAULT '0',
     special TEXT,
     notes TEXT,
+    dm_notes TEXT, -- Never sent to players
+    hidden_fields JSONB DEFAULT '[]', -- Field groups hidden from players: hp, attack, counterattack, special, notes
     color VARCHAR(7) NOT NULL DEFAULT '#FF0000',
     icon_url TEXT,
-    playerid VARCHAR(255),
+    playerid VARCHAR(255), -- Unused; see owner_player_id
+    owner_player_id INTEGER, -- Player account that controls this token
     visible_to_players BOOLEAN DEFAULT true,
+    movement REAL, -- Distance per turn in the scene's map scale units (map pixels without one); NULL is unlimited
+    owner_moves VARCHAR(10) DEFAULT 'proposal', -- How the owner moves it: 'proposal' (DM approves) or 'free'
+    conditions JSONB DEFAULT '[]', -- Status conditions: [{ name, icon, unit, remaining }]
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -23,6 +108,15 @@ CREATE TABLE IF NOT EXISTS tokens (
 ALTER TABLE tokens ADD COLUMN IF NOT EXISTS max_hp INTEGER DEFAULT 0;
 ALTER TABLE tokens ADD COLUMN IF NOT EXISTS current_hp INTEGER DEFAULT 0;
 ALTER TABLE tokens ADD COLUMN IF NOT EXISTS visible_to_players BOOLEAN DEFAULT true;
+-- Existing rows are assigned to the first scene by the server on startup
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS scene_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_tokens_scene ON tokens(scene_id);
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS owner_player_id INTEGER;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS dm_notes TEXT;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS hidden_fields JSONB DEFAULT '[]';
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS movement REAL;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS owner_moves VARCHAR(10) DEFAULT 'proposal';
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS conditions JSONB DEFAULT '[]';
 
 -- Enable Row Level Security (optional, for future user management)
 ALTER TABLE tokens ENABLE ROW LEVEL SECURITY;
@@ -34,7 +128,8 @@ CREATE POLICY "Allow all operations on tokens" ON tokens
 -- Create faction_stats table for persistent faction information
 CREATE TABLE IF NOT EXISTS faction_stats (
     id SERIAL PRIMARY KEY,
-    faction_name VARCHAR(255) NOT NULL UNIQUE,
+    campaign_id INTEGER,
+    faction_name VARCHAR(255) NOT NULL,
     current_hp INTEGER NOT NULL DEFAULT 0,
     max_hp INTEGER NOT NULL DEFAULT 0,
     force_stat INTEGER NOT NULL DEFAULT 0,
@@ -51,6 +146,11 @@ CREATE TABLE IF NOT EXISTS faction_stats (
 ALTER TABLE faction_stats ALTER COLUMN magic_stat TYPE VARCHAR(50);
 ALTER TABLE faction_stats ALTER COLUMN magic_stat SET DEFAULT 'None';
 
+-- Faction names are unique per campaign instead of globally
+ALTER TABLE faction_stats ADD COLUMN IF NOT EXISTS campaign_id INTEGER;
+ALTER TABLE faction_stats DROP CONSTRAINT IF EXISTS faction_stats_faction_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_faction_stats_campaign_name ON faction_stats(campaign_id, faction_name);
+
 -- Enable Row Level Security for faction_stats
 ALTER TABLE faction_stats ENABLE ROW LEVEL SECURITY;
 
@@ -81,15 +181,37 @@ CREATE TRIGGER update_faction_stats_updated_at
 CREATE TABLE IF NOT EXISTS move_proposals (
     id SERIAL PRIMARY KEY,
     token_id INTEGER NOT NULL,
+    scene_id INTEGER,
     original_x INTEGER NOT NULL,
     original_y INTEGER NOT NULL,
     proposed_x INTEGER NOT NULL,
     proposed_y INTEGER NOT NULL,
-    proposed_by_session VARCHAR(255),
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(token_id) -- Only one proposal per token
+    waypoints JSONB DEFAULT '[]', -- Route to the proposed position: [{ x, y }, ...]
+    proposed_by_session VARCHAR(255), -- Unused; see proposed_by_player_id
+    proposed_by_player_id INTEGER,
+    proposed_by_name VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, countered, approved, rejected or cancelled
+    reason TEXT DEFAULT '', -- What the player means to do with the move
+    comments JSONB DEFAULT '[]', -- Discussion: [{ author, role, text, at }, ...]
+    status_history JSONB DEFAULT '[]', -- [{ status, by, at, from? }, ...]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Add scene key to existing table if it doesn't exist
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS scene_id INTEGER;
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS proposed_by_player_id INTEGER;
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS proposed_by_name VARCHAR(255);
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS waypoints JSONB DEFAULT '[]';
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending';
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS reason TEXT DEFAULT '';
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS comments JSONB DEFAULT '[]';
+ALTER TABLE move_proposals ADD COLUMN IF NOT EXISTS status_history JSONB DEFAULT '[]';
+
+-- Closed proposals are kept, so only open ones are one per token
+ALTER TABLE move_proposals DROP CONSTRAINT IF EXISTS move_proposals_token_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_move_proposals_open_token ON move_proposals(token_id)
+    WHERE status IN ('pending', 'countered');
+
 -- Enable Row Level Security for move_proposals
 ALTER TABLE move_proposals ENABLE ROW LEVEL SECURITY;
 
@@ -100,12 +222,18 @@ CREATE POLICY "Allow all operations on move_proposals" ON move_proposals
 -- Create movable_factions table for DM configuration
 CREATE TABLE IF NOT EXISTS movable_factions (
     id SERIAL PRIMARY KEY,
-    faction_name VARCHAR(255) NOT NULL UNIQUE,
+    campaign_id INTEGER,
+    faction_name VARCHAR(255) NOT NULL,
     is_movable BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Faction names are unique per campaign instead of globally
+ALTER TABLE movable_factions ADD COLUMN IF NOT EXISTS campaign_id INTEGER;
+ALTER TABLE movable_factions DROP CONSTRAINT IF EXISTS movable_factions_faction_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movable_factions_campaign_name ON movable_factions(campaign_id, faction_name);
+
 -- Enable Row Level Security for movable_factions
 ALTER TABLE movable_factions ENABLE ROW LEVEL SECURITY;
 
@@ -118,4 +246,156 @@ DROP TRIGGER IF EXISTS update_movable_factions_updated_at ON movable_factions;
 CREATE TRIGGER update_movable_factions_updated_at
     BEFORE UPDATE ON movable_factions
     FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create fog_regions table for areas of a scene the DM has revealed
+CREATE TABLE IF NOT EXISTS fog_regions (
+    id SERIAL PRIMARY KEY,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    points JSONB NOT NULL, -- Polygon in map pixels: [[x, y], ...]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fog_regions_scene ON fog_regions(scene_id);
+
+-- Enable Row Level Security for fog_regions
+ALTER TABLE fog_regions ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for fog_regions
+CREATE POLICY "Allow all operations on fog_regions" ON fog_regions
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create annotations table for regions, labels, markers and drawings on a scene's map
+CREATE TABLE IF NOT EXISTS annotations (
+    id SERIAL PRIMARY KEY,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('region', 'label', 'marker', 'drawing')),
+    name VARCHAR(255) DEFAULT '',
+    points JSONB NOT NULL, -- Map pixels: [[x, y], ...]
+    color VARCHAR(7), -- NULL for the default look; regions take their faction's color
+    faction VARCHAR(255) DEFAULT '', -- Owner of a region
+    notes TEXT DEFAULT '',
+    visible_to_players BOOLEAN DEFAULT TRUE,
+    triggers JSONB DEFAULT '[]', -- Rules of a region: [{ on, action, faction, token_id, target_faction }]
+    auto_control BOOLEAN DEFAULT FALSE, -- A region goes to the faction whose tokens are alone in it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_annotations_scene ON annotations(scene_id);
+
+-- Enable Row Level Security for annotations
+ALTER TABLE annotations ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for annotations
+CREATE POLICY "Allow all operations on annotations" ON annotations
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create session_log table: what happened during play, for the DM
+CREATE TABLE IF NOT EXISTS session_log (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    scene_id INTEGER REFERENCES scenes(id) ON DELETE SET NULL,
+    turn INTEGER,
+    kind VARCHAR(20) NOT NULL, -- enter, leave, reveal or control
+    message TEXT NOT NULL,
+    alert BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_log_campaign ON session_log(campaign_id);
+
+-- Enable Row Level Security for session_log
+ALTER TABLE session_log ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for session_log
+CREATE POLICY "Allow all operations on session_log" ON session_log
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create chat_messages table: the campaign chat and its feed of map events
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('message', 'whisper', 'announcement', 'event')),
+    author VARCHAR(255) DEFAULT '',
+    author_role VARCHAR(10) DEFAULT 'system', -- dm, player or system
+    player_id INTEGER REFERENCES players(id) ON DELETE SET NULL, -- Player who sent it
+    to_player_id INTEGER REFERENCES players(id) ON DELETE CASCADE, -- Player the DM whispered to
+    to_name VARCHAR(255),
+    text TEXT NOT NULL,
+    visible_to_players BOOLEAN DEFAULT TRUE, -- Events players may not see are kept to the DM
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_campaign ON chat_messages(campaign_id, id);
+
+-- Enable Row Level Security for chat_messages
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for chat_messages
+CREATE POLICY "Allow all operations on chat_messages" ON chat_messages
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create token_moves table: every position change, for the movement timeline
+CREATE TABLE IF NOT EXISTS token_moves (
+    id SERIAL PRIMARY KEY,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    token_id INTEGER NOT NULL, -- No foreign key: the history outlives removed tokens
+    token_name VARCHAR(255),
+    color VARCHAR(7),
+    from_x INTEGER, -- NULL when the token was placed
+    from_y INTEGER,
+    x INTEGER NOT NULL,
+    y INTEGER NOT NULL,
+    waypoints JSONB DEFAULT '[]', -- Route taken from (from_x, from_y): [{ x, y }, ...]
+    turn INTEGER NOT NULL DEFAULT 1,
+    source VARCHAR(20) NOT NULL, -- place, move, proposal, undo or remove
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE token_moves ADD COLUMN IF NOT EXISTS waypoints JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_token_moves_scene ON token_moves(scene_id);
+CREATE INDEX IF NOT EXISTS idx_token_moves_token ON token_moves(token_id);
+
+-- Enable Row Level Security for token_moves
+ALTER TABLE token_moves ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for token_moves
+CREATE POLICY "Allow all operations on token_moves" ON token_moves
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create icons table: the token icon library (thumbnails live in ICONS_DIR)
+CREATE TABLE IF NOT EXISTS icons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    filename VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security for icons
+ALTER TABLE icons ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for icons
+CREATE POLICY "Allow all operations on icons" ON icons
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Create action_log table for the DM's undo/redo history
+CREATE TABLE IF NOT EXISTS action_log (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    scene_id INTEGER,
+    action TEXT NOT NULL,
+    label TEXT NOT NULL,
+    changes JSONB NOT NULL, -- [{ entity, id, before, after }] row snapshots
+    undone BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_log_campaign ON action_log(campaign_id);
+
+-- Enable Row Level Security for action_log
+ALTER TABLE action_log ENABLE ROW LEVEL SECURITY;
+
+-- Create a policy that allows all operations for action_log
+CREATE POLICY "Allow all operations on action_log" ON action_log
+    FOR ALL USING (true) WITH CHECK (true);